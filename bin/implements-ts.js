@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * @author <erik.e.lorenz@gmail.com> Erik E. Lorenz
+ *
+ * Command line wrapper for Implements.toTypeScript()
+ *
+ * Usage: implements-ts <module> [name]
+ *
+ * Loads a CommonJS module and writes TypeScript declarations to stdout. If the
+ * module exports an interface, it is declared as [name], which defaults to the
+ * file name of the module. Otherwise, every exported interface is declared
+ * under its export name, or only the one called [name].
+ */
+(function () {
+  var path, Implements, file, name, exported, keys, output;
+
+  path = require('path');
+  Implements = require('../implements.js');
+
+  /**
+   * test whether an exported value is an interface
+   *
+   * @param {any}
+   *          obj the value
+   * @returns {boolean} true if obj has an Interface member
+   */
+  function isInterface (obj) {
+    return typeof obj === 'object' && obj !== null && obj.Interface !== undefined;
+  }
+
+  file = process.argv[2];
+  name = process.argv[3];
+
+  if (!file) {
+    process.stderr.write('Usage: implements-ts <module> [name]\n');
+    process.exit(2);
+  }
+
+  try {
+    exported = require(path.resolve(file));
+
+    if (isInterface(exported)) {
+      output = Implements.toTypeScript(exported, name
+          || path.basename(file, path.extname(file)));
+    } else {
+      keys = Object.keys(exported || {}).filter(function (key) {
+        return isInterface(exported[key]) && (!name || key === name);
+      });
+      if (keys.length === 0) {
+        throw new Error([ 'no interfaces exported by ', file ].join(''));
+      }
+      output = keys.map(function (key) {
+        return Implements.toTypeScript(exported[key], key);
+      }).join('\n');
+    }
+  } catch (e) {
+    process.stderr.write([ 'implements-ts: ', e.message, '\n' ].join(''));
+    process.exit(1);
+  }
+
+  process.stdout.write(output);
+})();
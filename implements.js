@@ -19,7 +19,25 @@
  * 
  */
 var Implements = (function () {
-  var Implements;
+  var Implements, declaredClasses, declaredInterfaces, registry, customTypes,
+      typeNames;
+
+  // classes which were declared via implementing(), and their interfaces at
+  // the same index
+  declaredClasses = [];
+  declaredInterfaces = [];
+
+  // named interfaces. See define()
+  registry = Object.create(null);
+
+  // predicates and export hints of custom types by name. See registerType()
+  customTypes = Object.create(null);
+
+  // the built-in type names of signatures, besides 'any'. See toType()
+  typeNames = [ 'array', 'asyncfunction', 'asyncgeneratorfunction', 'bigint',
+      'boolean', 'date', 'error', 'function', 'generatorfunction', 'map',
+      'null', 'number', 'object', 'promise', 'regexp', 'set', 'string',
+      'symbol', 'undefined', 'weakmap', 'weakset' ];
 
   /**
    * replacement of the typeof function
@@ -31,6 +49,514 @@ var Implements = (function () {
     return ({}).toString.call(obj).match(/\s([a-zA-Z]+)/)[1].toLowerCase();
   }
 
+  /**
+   * test whether a type, as returned by toType(), is any kind of function
+   * 
+   * @param {string}
+   *          type the type
+   * @returns {boolean} true for plain, async, generator and async generator
+   *          functions, false otherwise
+   */
+  function isFunctionType (type) {
+    switch (type) {
+    case 'function':
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
+      return true;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * test whether an implementation type is compatible with an interface type.
+   * Different kinds of functions are compatible unless opts.functionKinds is
+   * set.
+   * 
+   * @param {string}
+   *          iType the type of the interface member
+   * @param {string}
+   *          oType the type of the implementation member
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @returns {boolean} true if the types are compatible, false otherwise
+   */
+  function compareTypes (iType, oType, opts) {
+    if (iType === oType) {
+      return true;
+    }
+    return !opts.functionKinds && isFunctionType(iType) && isFunctionType(oType);
+  }
+
+  /**
+   * private constructor for the parameter and return types of a placeholder
+   * function. See signature()
+   * 
+   * @param {array}
+   *          params the parameter types
+   * @param {any}
+   *          result the return type. undefined if unchecked
+   */
+  function Signature (params, result) {
+    this.params = params;
+    this.result = result;
+  }
+
+  /**
+   * retrieve the signature of a placeholder function
+   * 
+   * @param {any}
+   *          func the placeholder function
+   * @returns {Signature} the signature or undefined if func has none
+   */
+  function getSignature (func) {
+    if (isFunctionType(toType(func)) && func.signature instanceof Signature) {
+      return func.signature;
+    }
+    return undefined;
+  }
+
+  /**
+   * private constructor for by-name references to registered interfaces. See
+   * ref()
+   * 
+   * @param {string}
+   *          name the name of the interface
+   */
+  function Reference (name) {
+    this.name = name;
+  }
+
+  /**
+   * private constructor for optional members of an Interface object. See
+   * optional()
+   * 
+   * @param {any}
+   *          member the interface member
+   */
+  function Optional (member) {
+    this.member = member;
+  }
+
+  /**
+   * private constructor for members with alternative types. See oneOf() and
+   * nullable()
+   * 
+   * @param {array}
+   *          alternatives the alternative members. null stands for null
+   */
+  function OneOf (alternatives) {
+    this.alternatives = alternatives;
+  }
+
+  /**
+   * private constructor for members of a custom type. See registerType()
+   * 
+   * @param {string}
+   *          name the name of the type
+   */
+  function CustomType (name) {
+    this.name = name;
+  }
+
+  /**
+   * private constructor for string members with a pattern. See pattern()
+   * 
+   * @param {RegExp}
+   *          regexp the pattern
+   * @param {string}
+   *          example (optional) a matching string for mock() and arbitrary()
+   */
+  function Pattern (regexp, example) {
+    this.regexp = regexp;
+    this.example = example;
+  }
+
+  /**
+   * private constructor for members with an exact value. See literal()
+   * 
+   * @param {any}
+   *          value the number, string or boolean
+   */
+  function Literal (value) {
+    this.value = value;
+  }
+
+  /**
+   * private constructor for arrays with positional element types. See tuple()
+   * 
+   * @param {array}
+   *          elements the element members. Trailing ones may be Optionals
+   * @param {number}
+   *          required the number of required elements
+   * @param {any}
+   *          rest (optional) the member of all further elements
+   */
+  function Tuple (elements, required, rest) {
+    this.elements = elements;
+    this.required = required;
+    this.rest = rest;
+  }
+
+  /**
+   * private constructor for the rest element of a tuple. See rest()
+   * 
+   * @param {any}
+   *          member the member of the rest elements
+   */
+  function Rest (member) {
+    this.member = member;
+  }
+
+  /**
+   * get the member of a tuple element
+   * 
+   * @param {Tuple}
+   *          tuple the tuple
+   * @param {number}
+   *          index the index of the element
+   * @returns {any} the member, the rest member beyond the elements, or
+   *          undefined if the tuple has no rest element
+   */
+  function getTupleMember (tuple, index) {
+    return index < tuple.elements.length ? tuple.elements[index] : tuple.rest;
+  }
+
+  /**
+   * get all members of a tuple, including the rest member
+   * 
+   * @param {Tuple}
+   *          tuple the tuple
+   * @returns {array} the unwrapped element members and the rest member
+   */
+  function getTupleMembers (tuple) {
+    return tuple.elements.map(unwrapOptional).concat(
+        tuple.rest === undefined ? [] : [ tuple.rest ]);
+  }
+
+  /**
+   * format the valid lengths of a tuple for messages
+   * 
+   * @param {Tuple}
+   *          tuple the tuple
+   * @returns {string} e.g. '2', '2..3' or '2..' with a rest element
+   */
+  function formatTupleLength (tuple) {
+    if (tuple.rest !== undefined) {
+      return [ tuple.required, '..' ].join('');
+    }
+    if (tuple.required === tuple.elements.length) {
+      return String(tuple.required);
+    }
+    return [ tuple.required, '..', tuple.elements.length ].join('');
+  }
+
+  /**
+   * get the path of the rest element of a tuple
+   * 
+   * @param {string}
+   *          path the path of the tuple
+   * @returns {string} the path, e.g. 'Interface.point[...]'
+   */
+  function joinRestPath (path) {
+    return [ path, '[...]' ].join('');
+  }
+
+  /**
+   * test a string against a pattern, ignoring the lastIndex of global and
+   * sticky regexps
+   * 
+   * @param {Pattern}
+   *          member the pattern member
+   * @param {any}
+   *          value the value
+   * @returns {boolean} true if value is a string which matches the pattern
+   */
+  function testPattern (member, value) {
+    if (typeof value !== 'string') {
+      return false;
+    }
+
+    member.regexp.lastIndex = 0;
+    return member.regexp.test(value);
+  }
+
+  /**
+   * test whether two patterns are the same
+   * 
+   * @param {Pattern}
+   *          a a pattern
+   * @param {Pattern}
+   *          b another pattern
+   * @returns {boolean} true if both regexps have the same source and flags
+   */
+  function comparePatterns (a, b) {
+    return a.regexp.source === b.regexp.source
+        && a.regexp.flags === b.regexp.flags;
+  }
+
+  /**
+   * test whether a type, as returned by toType(), is a valid type for
+   * literal()
+   * 
+   * @param {string}
+   *          type the type
+   * @returns {boolean} true for numbers, strings and booleans
+   */
+  function isLiteralType (type) {
+    return type === 'number' || type === 'string' || type === 'boolean';
+  }
+
+  /**
+   * compare a literal of an interface with a value. NaN equals NaN
+   * 
+   * @param {any}
+   *          literal the literal
+   * @param {any}
+   *          value the value
+   * @returns {boolean} true if both are the same
+   */
+  function compareLiterals (literal, value) {
+    return literal === value || literal !== literal && value !== value;
+  }
+
+  /**
+   * test a value against a registered custom type
+   * 
+   * @param {string}
+   *          name the name of the type
+   * @param {any}
+   *          value the value
+   * @returns {boolean} true if the predicate of the type accepts value.
+   *          false if it throws, which is a type mismatch as well
+   */
+  function testCustomType (name, value) {
+    try {
+      return customTypes[name].predicate(value) ? true : false;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * create a sample value of a custom type
+   * 
+   * @param {string}
+   *          name the name of the type
+   * @param {function}
+   *          random a function which returns random numbers in [0, 1)
+   * @returns {any} the sample or undefined if the type has no sample function
+   *          or is unregistered
+   */
+  function sampleCustomType (name, random) {
+    if (!(name in customTypes) || customTypes[name].sample === undefined) {
+      return undefined;
+    }
+    return customTypes[name].sample(random);
+  }
+
+  /**
+   * create an error record for an unregistered custom type
+   * 
+   * @param {string}
+   *          name the name of the type
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the path of the member
+   * @returns {object} an error record
+   */
+  function createUnknownTypeError (name, depth, path) {
+    return createError('unknown-type', depth, [ 'unknown custom type: ', name ]
+        .join(''), {
+      path : path,
+      actual : name
+    });
+  }
+
+  /**
+   * get the alternatives of a member
+   * 
+   * @param {any}
+   *          member a member of an Interface
+   * @returns {array} the alternatives of a OneOf, [member] otherwise
+   */
+  function getAlternatives (member) {
+    return member instanceof OneOf ? member.alternatives : [ member ];
+  }
+
+  /**
+   * expand the OneOf alternatives of an Interface array
+   * 
+   * @param {array}
+   *          array the Interface array
+   * @returns {array} the alternatives, including the ones of each OneOf
+   */
+  function expandAlternatives (array) {
+    var alternatives, index;
+
+    alternatives = [];
+    for (index in array) {
+      alternatives = alternatives.concat(getAlternatives(array[index]));
+    }
+
+    return alternatives;
+  }
+
+  /**
+   * get the type of an interface member for error messages
+   * 
+   * @param {any}
+   *          member a member of an Interface
+   * @returns {string} the type as returned by toType(). The types of the
+   *          alternatives, separated by '|', for a OneOf
+   */
+  function toMemberType (member) {
+    if (member instanceof OneOf) {
+      return member.alternatives.map(toMemberType).join('|');
+    }
+    if (member instanceof CustomType) {
+      return member.name;
+    }
+    if (member instanceof Pattern) {
+      return 'string';
+    }
+    if (member instanceof Literal) {
+      return toType(member.value);
+    }
+    if (member instanceof Tuple) {
+      return 'array';
+    }
+    return toType(member);
+  }
+
+  /**
+   * test whether an interface describes arrays instead of objects
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @returns {boolean} true if intf.Interface is an array or a tuple
+   */
+  function isArrayInterface (intf) {
+    return toType(intf.Interface) === 'array'
+        || intf.Interface instanceof Tuple;
+  }
+
+  /**
+   * get the name of a by-name reference to an interface
+   * 
+   * @param {any}
+   *          intf a name, a Reference or an actual interface
+   * @returns {string} the name or undefined if intf is no reference
+   */
+  function getReferenceName (intf) {
+    if (intf instanceof Reference) {
+      return intf.name;
+    }
+    if (typeof intf === 'string') {
+      return intf;
+    }
+    return undefined;
+  }
+
+  /**
+   * resolve a by-name reference to an interface. Strings are only valid
+   * references inside of Extends and Requires, where they can't be constants.
+   * 
+   * @param {any}
+   *          intf a name, a Reference or an actual interface
+   * @returns {Interface} the registered interface for names and References,
+   *          undefined if unregistered. intf itself otherwise
+   */
+  function resolveInterface (intf) {
+    var name;
+
+    name = getReferenceName(intf);
+    if (name === undefined) {
+      return intf;
+    }
+
+    return name in registry ? registry[name] : undefined;
+  }
+
+  /**
+   * unwrap an optional member of an Interface object
+   * 
+   * @param {any}
+   *          value a member of an Interface
+   * @returns {any} the wrapped member for Optionals, value otherwise
+   */
+  function unwrapOptional (value) {
+    return value instanceof Optional ? value.member : value;
+  }
+
+  /**
+   * resolve a Reference inside of an Interface, where strings are constants.
+   * Optional members are unwrapped first
+   * 
+   * @param {any}
+   *          value a member of an Interface
+   * @returns {any} the referenced interface for References, value otherwise
+   */
+  function resolveMember (value) {
+    value = unwrapOptional(value);
+    return value instanceof Reference ? resolveInterface(value) : value;
+  }
+
+  /**
+   * create an error record for an unresolved by-name reference
+   * 
+   * @param {any}
+   *          intf the name or the Reference
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the path of the reference
+   * @returns {object} an error record
+   */
+  function createUnresolvedError (intf, depth, path) {
+    return createError('unresolved-name', depth, [
+        'unresolved interface name: ', getReferenceName(intf) ].join(''), {
+      path : path,
+      actual : getReferenceName(intf)
+    });
+  }
+
+  /**
+   * report unresolved names in the Extends tree of an interface, which
+   * getInterfaceKeys() skips silently
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the path of the interface
+   * @param {array}
+   *          stack (optional) a stack for infinite recursion avoidance
+   */
+  function matchExtends (intf, err, depth, path, stack) {
+    var index, sub, subPath;
+
+    stack = getStack(stack || [], intf);
+    if (stack === undefined || !Array.isArray(intf.Extends)) {
+      return;
+    }
+
+    for (index = 0; index < intf.Extends.length; index += 1) {
+      sub = resolveInterface(intf.Extends[index]);
+      subPath = joinPath(joinPath(path, 'Extends'), index);
+      if (sub === undefined) {
+        err.push(createUnresolvedError(intf.Extends[index], depth, subPath));
+      } else if (sub) {
+        matchExtends(sub, err, depth, subPath, stack);
+      }
+    }
+  }
+
   /**
    * search for the object in the stack and abort if present, clone and push
    * otherwise
@@ -100,29 +626,155 @@ var Implements = (function () {
   }
 
   /**
-   * checks the internal interface object for compliance
+   * append a key or an array index to a member path
    * 
-   * @param {Object}
-   *          obj the object
-   * @param {Array}
-   *          err (output) an array to which error lines are pushed
+   * @param {string}
+   *          path the path so far. '' for the root
+   * @param {string,
+   *          number, symbol} key a member name, an array index or a symbol
+   * @returns {string} the extended path, e.g. 'Interface.storage[2]' or
+   *          'Interface[Symbol(Symbol.iterator)]'
    */
-  function validateInterfaceObject (obj, err, stack) {
-    var key, keys, val;
+  function joinPath (path, key) {
+    if (typeof key === 'number' || toType(key) === 'symbol') {
+      return [ path, '[', String(key), ']' ].join('');
+    }
+    if (path === '') {
+      return key;
+    }
+    return [ path, '.', key ].join('');
+  }
 
-    stack = getStack(stack, obj);
+  /**
+   * create an error record. All validation and matching functions push these
+   * records to their err arrays. Use formatErrors() for the string version.
+   *
+   * @param {string}
+   *          code a stable error code, e.g. 'missing-key'
+   * @param {number}
+   *          depth the nesting depth at which the error occurred. undefined
+   *          for errors outside of the actual interface traversal
+   * @param {string}
+   *          message a human-readable description of the error
+   * @param {object}
+   *          info (optional) an object with any of the properties path (the
+   *          full member path, e.g. 'Interface.storage.Interface.open'),
+   *          expected, actual and intf
+   * @returns {object} an error record
+   */
+  function createError (code, depth, message, info) {
+    info = info || {};
+
+    return {
+      code : code,
+      depth : depth,
+      message : message,
+      path : info.path,
+      expected : info.expected,
+      actual : info.actual,
+      intf : info.intf
+    };
+  }
+
+  /**
+   * convert an array of error records to the classic string representation
+   *
+   * @param {array}
+   *          err an array of error records
+   * @returns {string} a newline-separated string of errors. "" on success
+   */
+  function formatErrors (err) {
+    var lines, line, error;
+
+    lines = [];
+
+    for (error in err) {
+      error = err[error];
+      line = error.message;
+      if (error.path) {
+        line = [ error.path, ': ', line ].join('');
+      }
+      if (error.depth !== undefined) {
+        line = [ error.depth, ' ', line ].join('');
+      }
+      lines.push(line);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * error class for failed assertions. Extends TypeError.
+   * 
+   * @param {array}
+   *          errors a non-empty array of error records
+   */
+  function ImplementsError (errors) {
+    this.message = formatErrors(errors);
+    this.errors = errors;
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ImplementsError);
+    } else {
+      this.stack = new Error(this.message).stack;
+    }
+  }
+  ImplementsError.prototype = Object.create(TypeError.prototype);
+  ImplementsError.prototype.constructor = ImplementsError;
+  ImplementsError.prototype.name = 'ImplementsError';
+
+  /**
+   * set the originating interface of all recently added error records which
+   * don't have one yet. Since nested interfaces are handled first, the
+   * innermost interface wins.
+   * 
+   * @param {array}
+   *          err an array of error records
+   * @param {number}
+   *          start index of the first error record to consider
+   * @param {Interface}
+   *          intf the originating interface
+   */
+  function attributeErrors (err, start, intf) {
+    for (; start < err.length; start += 1) {
+      if (err[start].intf === undefined) {
+        err[start].intf = intf;
+      }
+    }
+  }
+
+  /**
+   * checks the internal interface object for compliance
+   * 
+   * @param {Object}
+   *          obj the object
+   * @param {Array}
+   *          err (output) an array to which error lines are pushed
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of obj
+   */
+  function validateInterfaceObject (obj, err, stack, path) {
+    var key, keys, val;
+
+    stack = getStack(stack, obj);
     if (!stack) {
       // infinite nesting is not an error, as long as the rest of the Interface
       // is valid
       return;
     }
 
-    keys = Object.keys(obj);
+    keys = getOwnKeys(obj);
 
     for (key in keys) {
       key = keys[key];
-      val = obj[key];
-      validateInterfaceType(val, err, stack);
+      // getters and setters are valid members and must not be called
+      if (!isAccessor(Object.getOwnPropertyDescriptor(obj, key))) {
+        // optional members are only valid here
+        val = unwrapOptional(obj[key]);
+        validateInterfaceType(val, err, stack, joinPath(path, key));
+      }
     }
   }
 
@@ -135,9 +787,11 @@ var Implements = (function () {
    *          err an array of errors
    * @param {array}
    *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of the array
    */
-  function validateInterfaceArray (array, err, stack) {
-    var sub, count;
+  function validateInterfaceArray (array, err, stack, path) {
+    var index, count;
 
     stack = getStack(stack, array);
     if (!stack) {
@@ -147,23 +801,33 @@ var Implements = (function () {
     }
 
     if (array.constructor !== Array) {
-      err.push([ stack.length, ' array.Interface = [] is not an array: ',
-          toType(array) ].join(''));
+      err.push(createError('not-an-array', stack.length, [
+          'array.Interface = [] is not an array: ', toType(array) ].join(''), {
+        path : path,
+        expected : 'array',
+        actual : toType(array)
+      }));
       return;
     }
 
     count = 0;
-    for (sub in array) {
-      sub = array[sub];
+    for (index in array) {
       count += 1;
-      validateInterfaceType(sub, err, stack);
+      validateInterfaceType(array[index], err, stack, joinPath(path,
+          Number(index)));
     }
 
     if (count !== array.length) {
-      err.push([ stack.length, ' intf.Interface array is not compact' ].join(''));
+      err.push(createError('non-compact-array', stack.length,
+          'intf.Interface array is not compact', {
+            path : path
+          }));
     }
     if (count === 0) {
-      err.push([ stack.length, ' intf.Interface array cannot be empty' ].join(''));
+      err.push(createError('empty-array', stack.length,
+          'intf.Interface array cannot be empty', {
+            path : path
+          }));
     }
   }
 
@@ -176,15 +840,47 @@ var Implements = (function () {
    *          err an array of errors
    * @param {array}
    *          stack a stack for infinite recursion avoidance
-   * 
+   * @param {string}
+   *          path the member path of obj
    */
-  function validateInterfaceType (obj, err, stack) {
+  function validateInterfaceType (obj, err, stack, path) {
     switch (toType(obj)) {
     case 'object':
-      // must be an interface
-      validateInterface(obj, err, stack);
+      // must be an interface or a reference to one
+      if (obj instanceof Optional) {
+        err.push(createError('invalid-optional', stack.length,
+            'optional member outside of an Interface object', {
+              path : path
+            }));
+      } else if (obj instanceof Rest) {
+        err.push(createError('invalid-rest', stack.length,
+            'rest element outside of a tuple', {
+              path : path
+            }));
+      } else if (obj instanceof OneOf) {
+        validateOneOf(obj, err, stack, path);
+      } else if (obj instanceof Tuple) {
+        validateTuple(obj, err, stack, path);
+      } else if (obj instanceof CustomType) {
+        if (!(obj.name in customTypes)) {
+          err.push(createUnknownTypeError(obj.name, stack.length, path));
+        }
+      } else if (obj instanceof Reference
+          && resolveInterface(obj) === undefined) {
+        err.push(createUnresolvedError(obj, stack.length, path));
+      } else if (!(obj instanceof Pattern) && !(obj instanceof Literal)) {
+        // patterns and literals are checked by pattern() and literal()
+        validateInterface(resolveInterface(obj), err, stack, path);
+      }
       break;
     case 'function':
+      if (getSignature(obj) !== undefined) {
+        validateSignature(getSignature(obj), err, stack, path);
+      }
+      break;
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
     case 'number':
     case 'string':
     case 'date':
@@ -194,15 +890,117 @@ var Implements = (function () {
       break;
     case 'array':
       // take a shortcut
-      validateInterfaceArray(obj, err, stack);
+      validateInterfaceArray(obj, err, stack, path);
       break;
     default:
-      err.push([ stack.length, " invalid type for interface object: ",
-          toType(obj) ].join(''));
+      err.push(createError('invalid-type', stack.length, [
+          "invalid type for interface object: ", toType(obj) ].join(''), {
+        path : path,
+        actual : toType(obj)
+      }));
       break;
     }
   }
 
+  /**
+   * validate the alternatives of a OneOf. null is valid here
+   * 
+   * @param {OneOf}
+   *          member the OneOf
+   * @param {array}
+   *          err an array of errors
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of the OneOf
+   */
+  function validateOneOf (member, err, stack, path) {
+    var index;
+
+    for (index = 0; index < member.alternatives.length; index += 1) {
+      if (member.alternatives[index] !== null) {
+        validateInterfaceType(member.alternatives[index], err, stack, joinPath(
+            path, index));
+      }
+    }
+  }
+
+  /**
+   * validate the elements of a tuple. Optional elements are valid here
+   * 
+   * @param {Tuple}
+   *          tuple the tuple
+   * @param {array}
+   *          err an array of errors
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of the tuple
+   */
+  function validateTuple (tuple, err, stack, path) {
+    var index;
+
+    for (index = 0; index < tuple.elements.length; index += 1) {
+      validateInterfaceType(unwrapOptional(tuple.elements[index]), err, stack,
+          joinPath(path, index));
+    }
+
+    if (tuple.rest !== undefined) {
+      validateInterfaceType(tuple.rest, err, stack, joinRestPath(path));
+    }
+  }
+
+  /**
+   * validate a single type of a signature, which is either a type name as
+   * returned by toType(), 'any', or anything that is valid inside an Interface
+   * 
+   * @param {any}
+   *          spec the type
+   * @param {array}
+   *          err an array of errors
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the path of the type
+   */
+  function validateSignatureType (spec, err, stack, path) {
+    if (toType(spec) !== 'string') {
+      validateInterfaceType(spec, err, stack, path);
+    } else if (!(spec in customTypes) && spec !== 'any'
+        && typeNames.indexOf(spec) === -1) {
+      err.push(createError('invalid-signature', stack.length, [
+          "invalid type name in signature: ", spec ].join(''), {
+        path : path,
+        actual : spec
+      }));
+    }
+  }
+
+  /**
+   * validate the parameter and return types of a placeholder function
+   * 
+   * @param {Signature}
+   *          sig the signature
+   * @param {array}
+   *          err an array of errors
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of the placeholder function
+   */
+  function validateSignature (sig, err, stack, path) {
+    var index;
+
+    for (index = 0; index < sig.params.length; index += 1) {
+      validateSignatureType(sig.params[index], err, stack, joinPath(joinPath(
+          path, 'params'), index));
+    }
+
+    if (sig.result !== undefined) {
+      validateSignatureType(sig.result, err, stack, joinPath(path, 'result'));
+    }
+  }
+
   /**
    * test whether a string is all caps
    * 
@@ -234,9 +1032,11 @@ var Implements = (function () {
    *          err an array of errors
    * @param {array}
    *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of the constant
    */
-  function validateConstant (obj, err, stack) {
-    var keys, key, elem;
+  function validateConstant (obj, err, stack, path) {
+    var keys, key, index;
 
     stack = getStack(stack, obj);
     if (!stack) {
@@ -245,6 +1045,14 @@ var Implements = (function () {
       return;
     }
 
+    if (obj instanceof Optional) {
+      err.push(createError('invalid-optional', stack.length,
+          'optional constant outside of an Interface object', {
+            path : path
+          }));
+      return;
+    }
+
     switch (toType(obj)) {
     case 'object':
       keys = Object.keys(obj);
@@ -253,20 +1061,23 @@ var Implements = (function () {
 
         // check for all caps key, since it's a constant
         if (validateConstantName(key) === false) {
-          err.push([ stack.length, " nested constant is not all caps:", key ].join(''));
+          err.push(createError('invalid-constant-name', stack.length, [
+              "nested constant is not all caps: ", key ].join(''), {
+            path : joinPath(path, key)
+          }));
         }
 
         // check recursively for constant
-        validateConstant(obj[key], err, stack);
+        validateConstant(obj[key], err, stack, joinPath(path, key));
       }
       break;
     case 'array':
-      for (elem in obj) {
-        elem = obj[elem];
-        validateConstant(elem, err, stack);
+      for (index in obj) {
+        validateConstant(obj[index], err, stack, joinPath(path, Number(index)));
       }
       break;
     case 'number':
+    case 'bigint':
     case 'string':
     case 'date':
     case 'regexp':
@@ -274,7 +1085,11 @@ var Implements = (function () {
     case 'undefined':
       break;
     default:
-      err.push([ stack.length, " invalid type for a constant: ", toType(obj) ].join(''));
+      err.push(createError('invalid-constant', stack.length, [
+          "invalid type for a constant: ", toType(obj) ].join(''), {
+        path : path,
+        actual : toType(obj)
+      }));
     }
   }
 
@@ -285,9 +1100,13 @@ var Implements = (function () {
    *          intf A candidate for an interface
    * @param {Array}
    *          err (output) array of errors
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of intf. '' for the root interface
    */
-  function validateInterface (intf, err, stack) {
-    var keys, key, type;
+  function validateInterface (intf, err, stack, path) {
+    var keys, key, type, start;
 
     stack = getStack(stack, intf);
     if (!stack) {
@@ -296,13 +1115,18 @@ var Implements = (function () {
       return;
     }
 
+    start = err.length;
+
     type = toType(intf);
     if (type === 'object') {
       keys = Object.keys(intf);
 
       // abort if there's no Interface key
       if (keys.indexOf('Interface') === -1) {
-        err.push([ stack.length, " intf.Interface: not found" ].join(''));
+        err.push(createError('missing-interface', stack.length,
+            "intf.Interface: not found", {
+              path : path
+            }));
       } else {
         for (key in keys) {
           key = keys[key];
@@ -312,42 +1136,68 @@ var Implements = (function () {
             type = toType(intf.Interface);
             switch (type) {
             case 'object':
-              validateInterfaceObject(intf.Interface, err, stack);
+              if (intf.Interface instanceof Tuple) {
+                validateTuple(intf.Interface, err, stack, joinPath(path,
+                    'Interface'));
+                break;
+              }
+              validateInterfaceObject(intf.Interface, err, stack, joinPath(
+                  path, 'Interface'));
               break;
             case 'array':
-              validateInterfaceArray(intf.Interface, err, stack);
+              validateInterfaceArray(intf.Interface, err, stack, joinPath(path,
+                  'Interface'));
               break;
             default:
               // other datatypes don't make sense since you can't extend them
               // and they're basic and don't need validation. Hence: Error.
-              err.push([ stack.length, ' invalid type for intf.Interface: ',
-                  type ].join(''));
+              err.push(createError('invalid-interface-type', stack.length, [
+                  'invalid type for intf.Interface: ', type ].join(''), {
+                path : joinPath(path, 'Interface'),
+                expected : 'object',
+                actual : type
+              }));
             }
             break;
           case 'Extends':
           case 'Requires':
             // validate Extends as array and its elements of it as Interfaces
-            validateArrayOfInterfaces(intf[key], err, stack);
+            validateArrayOfInterfaces(intf[key], err, stack, joinPath(path, key));
             break;
           default:
             if (validateConstantName(key) === true) {
-              validateConstant(intf[key], err, stack);
+              validateConstant(intf[key], err, stack, joinPath(path, key));
             } else if (validateFunctionName(key) === true) {
-              if (toType(intf[key]) !== 'function') {
-                err.push([ stack.length, 'invalid type for global function ',
-                    key, ':', toType(intf[key]), '. Did you mean ',
-                    key.toUpperCase(), '?' ].join(''));
+              if (!isFunctionType(toType(intf[key]))) {
+                err.push(createError('invalid-global-function', stack.length, [
+                    'invalid type for global function ', key, ': ',
+                    toType(intf[key]), '. Did you mean ', key.toUpperCase(),
+                    '?' ].join(''), {
+                  path : joinPath(path, key),
+                  expected : 'function',
+                  actual : toType(intf[key])
+                }));
               }
             } else {
-              err.push([ stack.length, "invalid name: ", key,
-                  ". Is neither CONSTANTNAME nor functionName" ].join(''));
+              err.push(createError('invalid-name', stack.length, [
+                  "invalid name: ", key,
+                  ". Is neither CONSTANTNAME nor functionName" ].join(''), {
+                path : joinPath(path, key)
+              }));
             }
           }
         }
       }
     } else {
-      err.push([ stack.length, " intf is no object, but of type ", type ].join(''));
+      err.push(createError('invalid-interface', stack.length, [
+          "intf is no object, but of type ", type ].join(''), {
+        path : path,
+        expected : 'object',
+        actual : type
+      }));
     }
+
+    attributeErrors(err, start, intf);
   }
 
   /**
@@ -359,26 +1209,44 @@ var Implements = (function () {
    *          err an array of errors
    * @param {object}
    *          stack a stack for infinite loop avoidance
+   * @param {string}
+   *          path the member path of the array, e.g. 'Extends'
    */
-  function validateArrayOfInterfaces (array, err, stack) {
-    var intf, type, count;
+  function validateArrayOfInterfaces (array, err, stack, path) {
+    var index, intf, type, count;
 
     type = toType(array);
     if (type !== 'array') {
-      err.push([ stack.length, ' array of interfaces is no array, but ', type ].join(''));
+      err.push(createError('not-an-array', stack.length, [
+          'array of interfaces is no array, but ', type ].join(''), {
+        path : path,
+        expected : 'array',
+        actual : type
+      }));
     } else {
       count = 0;
-      for (intf in array) {
-        intf = array[intf];
-        validateInterface(intf, err, stack);
-        if (intf && toType(intf.Interface) !== 'object') {
-          err.push([ stack.length,
-              ' Extend and Require can only contain objects, no arrays' ].join(''));
-        }
+      for (index in array) {
         count += 1;
+        intf = resolveInterface(array[index]);
+        if (intf === undefined && getReferenceName(array[index]) !== undefined) {
+          err.push(createUnresolvedError(array[index], stack.length, joinPath(
+              path, Number(index))));
+          continue;
+        }
+        validateInterface(intf, err, stack, joinPath(path, Number(index)));
+        if (intf && (toType(intf.Interface) !== 'object'
+            || intf.Interface instanceof Tuple)) {
+          err.push(createError('invalid-extends', stack.length,
+              'Extend and Require can only contain objects, no arrays', {
+                path : joinPath(path, Number(index))
+              }));
+        }
       }
       if (array.length !== count) {
-        err.push([ stack.length, ' array of interfaces is not compact' ].join(''));
+        err.push(createError('non-compact-array', stack.length,
+            'array of interfaces is not compact', {
+              path : path
+            }));
       }
     }
   }
@@ -388,17 +1256,28 @@ var Implements = (function () {
    * 
    * @param {Interface}
    *          intf the interface to validate
-   * @returns {string} a newline-separated string of errors. "" on success
+   * @returns {array} an array of error records. [] on success
    */
-  function validate (intf) {
+  function validateDetailed (intf) {
     var err, stack;
 
     err = [];
     stack = [];
 
-    validateInterface(intf, err, stack);
+    validateInterface(intf, err, stack, '');
 
-    return err.join('\n');
+    return err;
+  }
+
+  /**
+   * string version of validateDetailed()
+   * 
+   * @param {Interface}
+   *          intf the interface to validate
+   * @returns {string} a newline-separated string of errors. "" on success
+   */
+  function validate (intf) {
+    return formatErrors(validateDetailed(intf));
   }
 
   /**
@@ -438,7 +1317,7 @@ var Implements = (function () {
    * TODO extract to my own array library
    */
   function arrayDiff (a, b) {
-    var out, i, j;
+    var out, value;
 
     out = {
       a : [],
@@ -446,67 +1325,244 @@ var Implements = (function () {
       shared : []
     };
 
-    a = arrayUniq(a).sort();
-    b = arrayUniq(b).sort();
+    // no sorting, since symbols can't be compared. Lazy O(n^2) version, which
+    // preserves the order of first appearance
+    a = arrayUniq(a);
+    b = arrayUniq(b);
 
-    i = a.length - 1;
-    j = b.length - 1;
-
-    for (; i >= 0; i -= 1) {
-      for (; a[i] < b[j] && j >= 0; j -= 1) {
-        out.b.push(b[j]);
+    for (value in a) {
+      value = a[value];
+      if (b.indexOf(value) === -1) {
+        out.a.push(value);
+      } else {
+        out.shared.push(value);
       }
+    }
 
-      if (j >= 0 && a[i] === b[j]) {
-        out.shared.push(a[i]);
-        j -= 1;
-      } else {
-        out.a.push(a[i]);
+    for (value in b) {
+      value = b[value];
+      if (a.indexOf(value) === -1) {
+        out.b.push(value);
       }
     }
 
-    for (; j >= 0; j -= 1) {
-      out.b.push(b[j]);
+    return out;
+  }
+
+  /**
+   * sort an array of property keys: strings in alphabetical order, followed by
+   * symbols in the order of their descriptions
+   * 
+   * @param {array}
+   *          keys an array of strings and symbols
+   * @returns {array} a sorted copy of keys
+   */
+  function sortKeys (keys) {
+    return keys.slice().sort(function (a, b) {
+      var aIsSymbol, bIsSymbol;
+
+      aIsSymbol = toType(a) === 'symbol';
+      bIsSymbol = toType(b) === 'symbol';
+      if (aIsSymbol !== bIsSymbol) {
+        return aIsSymbol ? 1 : -1;
+      }
+
+      a = String(a);
+      b = String(b);
+      if (a === b) {
+        return 0;
+      }
+      return a < b ? -1 : 1;
+    });
+  }
+
+  /**
+   * test whether a property descriptor belongs to a getter and/or setter
+   * 
+   * @param {object}
+   *          desc a property descriptor or undefined
+   * @returns {boolean} true if desc describes an accessor, false otherwise
+   */
+  function isAccessor (desc) {
+    return desc !== undefined && (desc.get !== undefined || desc.set !== undefined);
+  }
+
+  /**
+   * search the prototype chain for the property descriptor of a member
+   * 
+   * @param {object}
+   *          obj the object
+   * @param {string}
+   *          key the member name
+   * @returns {object} the property descriptor or undefined if not found
+   */
+  function getPropertyDescriptor (obj, key) {
+    var desc;
+
+    for (; obj !== null && obj !== undefined; obj = Object.getPrototypeOf(obj)) {
+      desc = Object.getOwnPropertyDescriptor(obj, key);
+      if (desc !== undefined) {
+        return desc;
+      }
     }
 
-    // reverse to order of first appearance
-    out.a.reverse();
-    out.b.reverse();
+    return undefined;
+  }
 
-    return out;
+  /**
+   * determine the type of a member from its property descriptor without
+   * calling any getter
+   * 
+   * @param {object}
+   *          desc a property descriptor or undefined
+   * @returns {string} 'getter', 'setter' or 'accessor' (getter and setter) for
+   *          accessors, the type of the value otherwise
+   */
+  function getMemberType (desc) {
+    if (desc === undefined) {
+      return 'undefined';
+    }
+    if (desc.get !== undefined && desc.set !== undefined) {
+      return 'accessor';
+    }
+    if (desc.get !== undefined) {
+      return 'getter';
+    }
+    if (desc.set !== undefined) {
+      return 'setter';
+    }
+    return toMemberType(unwrapOptional(desc.value));
+  }
+
+  /**
+   * compare an accessor member of an interface with the implementation. A
+   * getter in the interface requires a getter in the implementation, a setter
+   * requires a setter. Plain data members don't suffice.
+   * 
+   * @param {string}
+   *          key the member name
+   * @param {object}
+   *          idesc the property descriptor of the interface member
+   * @param {object}
+   *          odesc the property descriptor of the implementation member
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the member path
+   */
+  function compareAccessors (key, idesc, odesc, err, depth, path) {
+    if (idesc.get !== undefined && (odesc === undefined || odesc.get === undefined)) {
+      err.push(createError('missing-getter', depth, [ "expected getter for ",
+          String(key) ].join(''), {
+        path : path,
+        expected : getMemberType(idesc),
+        actual : getMemberType(odesc)
+      }));
+    }
+    if (idesc.set !== undefined && (odesc === undefined || odesc.set === undefined)) {
+      err.push(createError('missing-setter', depth, [ "expected setter for ",
+          String(key) ].join(''), {
+        path : path,
+        expected : getMemberType(idesc),
+        actual : getMemberType(odesc)
+      }));
+    }
   }
 
   /**
-   * retrieve all keys of an object from itself, its prototype (if it's a class)
-   * or the prototype if its class. Recursive.
+   * return the object which holds the members of an implementation, i.e. the
+   * prototype of a class and the object itself otherwise
    * 
    * @param {instance,
    *          class} obj the object or class
-   * @returns {string array} an array of all referenced keys
+   * @returns {object} the prototype of a class, obj otherwise
    */
-  function getObjectKeys (obj) {
-    var out, isClass, isInstance, isFunction;
+  function getMemberObject (obj) {
+    if (toType(obj) === 'function' && obj.prototype !== undefined) {
+      return obj.prototype;
+    }
+    return obj;
+  }
+
+  /**
+   * retrieve all own property names and symbols of an object and its
+   * prototype chain, excluding Object.prototype and the constructor property.
+   * This includes the non-enumerable methods of ES2015 classes.
+   * 
+   * @param {object}
+   *          obj the object
+   * @returns {array} an array of all property names and symbols
+   */
+  function getPrototypeChainKeys (obj) {
+    var out, keys, key;
 
-    isFunction = obj.prototype === undefined && toType(obj) === 'function';
-    isClass = obj.prototype !== undefined && toType(obj) === 'function';
-    isInstance = obj.constructor !== undefined && toType(obj) === 'object';
+    out = [];
 
-    if (isInstance) {
-      out = Object.keys(obj);
-      if (obj !== obj.constructor.prototype) {
-        out = arrayUniq(out.concat(getObjectKeys(obj.constructor)));
+    for (; obj !== null && obj !== Object.prototype; obj = Object
+        .getPrototypeOf(obj)) {
+      keys = Object.getOwnPropertyNames(obj);
+      if (Object.getOwnPropertySymbols) {
+        keys = keys.concat(Object.getOwnPropertySymbols(obj));
+      }
+      for (key in keys) {
+        key = keys[key];
+        if (key !== 'constructor' && out.indexOf(key) === -1) {
+          out.push(key);
+        }
       }
-    } else if (isClass) {
-      out = getObjectKeys(obj.prototype);
-    } else if (isFunction) {
-      out = Object.keys(obj);
-    } else {
-      return undefined;
     }
 
     return out;
   }
 
+  /**
+   * retrieve the enumerable own keys of an object, including symbols
+   * 
+   * @param {object}
+   *          obj the object
+   * @returns {array} an array of property names and symbols
+   */
+  function getOwnKeys (obj) {
+    var keys;
+
+    keys = Object.keys(obj);
+
+    if (Object.getOwnPropertySymbols) {
+      keys = keys.concat(Object.getOwnPropertySymbols(obj).filter(function (
+          symbol) {
+        return Object.prototype.propertyIsEnumerable.call(obj, symbol);
+      }));
+    }
+
+    return keys;
+  }
+
+  /**
+   * retrieve all keys of an object and its prototype chain, or of the
+   * prototype chain of a class. Functions without a prototype only provide
+   * their own enumerable keys.
+   * 
+   * @param {instance,
+   *          class} obj the object or class
+   * @returns {array} an array of all referenced keys, including symbols
+   */
+  function getObjectKeys (obj) {
+    var type;
+
+    type = toType(obj);
+    if (type === 'function' && obj.prototype !== undefined) {
+      return getPrototypeChainKeys(obj.prototype);
+    } else if (type === 'object') {
+      return getPrototypeChainKeys(obj);
+    } else if (isFunctionType(type)) {
+      return getOwnKeys(obj);
+    }
+
+    return undefined;
+  }
+
   /**
    * retrieves all keys of .Interface and .Extends
    * 
@@ -517,7 +1573,7 @@ var Implements = (function () {
    * @returns {array} an array of effective interfaces
    */
   function getInterfaceKeys (intf, stack) {
-    var stack, sub, subkeys, keys;
+    var sub, subkeys, subkey, keys;
 
     stack = stack || [];
 
@@ -526,11 +1582,15 @@ var Implements = (function () {
       return [];
     }
 
-    keys = Object.keys(intf.Interface);
+    keys = getOwnKeys(intf.Interface);
 
     if (intf.Extends) {
       for (sub in intf.Extends) {
-        sub = intf.Extends[sub];
+        sub = resolveInterface(intf.Extends[sub]);
+        if (sub === undefined) {
+          // unresolved names are reported by validate()
+          continue;
+        }
         subkeys = getInterfaceKeys(sub, stack);
         for (subkey in subkeys) {
           subkey = subkeys[subkey];
@@ -547,8 +1607,17 @@ var Implements = (function () {
 
   /**
    * recurse the Extends tree until the key is found
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {string}
+   *          key the member name
+   * @param {array}
+   *          stack (optional) a stack for infinite recursion avoidance
+   * @returns {object} the property descriptor of the member inside the
+   *          Interface object, or undefined if not found
    */
-  function getInterfaceMember (intf, key, stack) {
+  function getInterfaceDescriptor (intf, key, stack) {
     var index, sub, retval;
     stack = stack || [];
 
@@ -561,16 +1630,18 @@ var Implements = (function () {
       return undefined;
     }
 
-    // The following line prevents "undefined" as an Interface key or within an
-    // Interface array. hasOwnProperty() doesn't help because of the prototype
-    if (intf.Interface && intf.Interface[key] !== undefined) {
-      return intf.Interface[key];
+    // The following lines prevent "undefined" as an Interface key or within an
+    // Interface array. Accessors are returned without calling them
+    retval = intf.Interface && Object.getOwnPropertyDescriptor(intf.Interface,
+        key);
+    if (retval && (isAccessor(retval) || retval.value !== undefined)) {
+      return retval;
     }
 
     if (intf.Extends) {
       for (index = intf.Extends.length; index >= 0; index -= 1) {
-        sub = intf.Extends[index];
-        retval = getInterfaceMember(sub, key, stack);
+        sub = resolveInterface(intf.Extends[index]);
+        retval = getInterfaceDescriptor(sub, key, stack);
         if (retval !== undefined) {
           return retval;
         }
@@ -581,22 +1652,450 @@ var Implements = (function () {
   }
 
   /**
-   * Performs an interface match
+   * test whether a member of an interface is optional
    * 
    * @param {Interface}
-   *          intf the interface to match against
-   * @param {object}
-   *          obj the implementation
-   * @param {Object}
-   *          opts different options. see matchInterface() source code for a
-   *          complete list
-   * @param {object}
-   *          a bistack for infinite loop avoidance
-   * @param {array}
+   *          intf the interface
+   * @param {string}
+   *          key the member name
+   * @returns {boolean} true if the member is wrapped by optional()
+   */
+  function isOptionalKey (intf, key) {
+    var desc;
+
+    desc = getInterfaceDescriptor(intf, key);
+    return desc !== undefined && desc.value instanceof Optional;
+  }
+
+  /**
+   * determine the parameters of a function from its source code, since
+   * Function.length neither counts default parameters nor rest parameters
+   * 
+   * @param {function}
+   *          func the function
+   * @returns {object} an object with the properties required (Function.length),
+   *          declared (number of parameters, including default parameters, but
+   *          excluding a rest parameter) and rest (true if there's a rest
+   *          parameter)
+   */
+  function getArity (func) {
+    var source, index, start, depth, quote, chr, params, param;
+
+    if (getSignature(func) !== undefined) {
+      return {
+        required : func.length,
+        declared : func.length,
+        rest : false
+      };
+    }
+
+    source = Function.prototype.toString.call(func);
+
+    start = source.indexOf('(');
+    index = source.indexOf('=>');
+    if (/^class\b/.test(source) || /\[native code\]/.test(source)) {
+      // no parseable parameter list
+      params = [];
+      for (index = 0; index < func.length; index += 1) {
+        params.push('p');
+      }
+    } else if (index !== -1 && (start === -1 || index < start)) {
+      // arrow function with a single parameter and without parentheses
+      params = [ 'p' ];
+    } else {
+      params = [];
+      param = '';
+      depth = 0;
+      quote = undefined;
+      for (index = start + 1; index < source.length; index += 1) {
+        chr = source.charAt(index);
+        if (quote) {
+          if (chr === '\\') {
+            index += 1;
+          } else if (chr === quote) {
+            quote = undefined;
+          }
+        } else if (chr === '"' || chr === "'" || chr === '`') {
+          quote = chr;
+        } else if (source.substr(index, 2) === '/*') {
+          // skip comments
+          index = source.indexOf('*/', index + 2) + 1;
+          continue;
+        } else if (source.substr(index, 2) === '//') {
+          index = source.indexOf('\n', index);
+          continue;
+        } else if (chr === '(' || chr === '[' || chr === '{') {
+          depth += 1;
+        } else if (chr === ')' || chr === ']' || chr === '}') {
+          if (depth === 0) {
+            break;
+          }
+          depth -= 1;
+        } else if (chr === ',' && depth === 0) {
+          params.push(param);
+          param = '';
+          continue;
+        }
+        param += chr;
+      }
+      params.push(param);
+
+      // skip trailing commas
+      params = params.filter(function (param) {
+        return param.trim() !== '';
+      });
+    }
+
+    param = params.length !== 0 && /^\s*\.\.\./.test(params[params.length - 1]);
+
+    return {
+      required : func.length,
+      declared : param ? params.length - 1 : params.length,
+      rest : param
+    };
+  }
+
+  /**
+   * string representation of an arity, e.g. '2' or '2+' for two parameters and
+   * a rest parameter
+   * 
+   * @param {object}
+   *          arity an arity object as returned by getArity()
+   * @returns {string} the string representation
+   */
+  function formatArity (arity) {
+    return arity.declared + (arity.rest ? '+' : '');
+  }
+
+  /**
+   * compare the arity of an interface placeholder function with the
+   * implementation
+   * 
+   * @param {function}
+   *          placeholder the interface placeholder function
+   * @param {function}
+   *          func the implementation
+   * @param {string}
+   *          mode 'exact' if both functions have to declare the same
+   *          parameters, 'minimum' if the implementation has to accept at
+   *          least all parameters of the placeholder
+   * @returns {boolean} true if the arities are compatible, false otherwise
+   */
+  function compareArity (placeholder, func, mode) {
+    var iArity, oArity;
+
+    iArity = getArity(placeholder);
+    oArity = getArity(func);
+
+    if (mode === 'exact') {
+      return iArity.declared === oArity.declared && iArity.rest === oArity.rest;
+    }
+
+    if (oArity.rest) {
+      return true;
+    }
+
+    return !iArity.rest && oArity.declared >= iArity.declared;
+  }
+
+  /**
+   * create an error record for a function with the wrong parameters
+   * 
+   * @param {string}
+   *          key the member name
+   * @param {function}
+   *          placeholder the placeholder function
+   * @param {function}
+   *          func the actual function
+   * @param {string}
+   *          mode the arity mode. See compareArity()
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the member path
+   * @returns {object} an error record
+   */
+  function createArityMismatch (key, placeholder, func, mode, depth, path) {
+    return createError('arity-mismatch', depth, [ "arity mismatch of ",
+        String(key), ": ", formatArity(getArity(func)),
+        mode === 'exact' ? " != " : " < ", formatArity(getArity(placeholder)) ]
+        .join(''), {
+      path : path,
+      expected : formatArity(getArity(placeholder)),
+      actual : formatArity(getArity(func))
+    });
+  }
+
+  /**
+   * create a type mismatch error record
+   * 
+   * @param {string}
+   *          key the member name
+   * @param {string}
+   *          iType the expected type
+   * @param {string}
+   *          oType the actual type
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the member path
+   * @returns {object} an error record
+   */
+  function createTypeMismatch (key, iType, oType, depth, path) {
+    return createError('type-mismatch', depth, [ "type mismatch of ",
+        String(key), ": ", oType, " != ", iType ].join(''), {
+      path : path,
+      expected : iType,
+      actual : oType
+    });
+  }
+
+  /**
+   * format a literal or a string for error messages
+   * 
+   * @param {any}
+   *          value the value
+   * @returns {string} JSON for strings, String(value) otherwise
+   */
+  function formatLiteral (value) {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * create an error record for a value which differs from a literal() of the
+   * interface
+   * 
+   * @param {string}
+   *          key the member name
+   * @param {any}
+   *          literal the literal of the interface
+   * @param {any}
+   *          value the value of the implementation
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the member path
+   * @returns {object} an error record
+   */
+  function createValueMismatch (key, literal, value, depth, path) {
+    return createError('value-mismatch', depth, [ 'value mismatch of ',
+        String(key), ': ', formatLiteral(value), ' != ',
+        formatLiteral(literal) ].join(''), {
+      path : path,
+      expected : literal,
+      actual : value
+    });
+  }
+
+  /**
+   * create an error record for a string which doesn't match a pattern
+   * 
+   * @param {string}
+   *          key the member name
+   * @param {Pattern}
+   *          member the pattern member
+   * @param {string}
+   *          value the value of the implementation
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the member path
+   * @returns {object} an error record
+   */
+  function createPatternMismatch (key, member, value, depth, path) {
+    return createError('pattern-mismatch', depth, [ 'pattern mismatch of ',
+        String(key), ': ', formatLiteral(value), ' !~ ', String(member.regexp) ]
+        .join(''), {
+      path : path,
+      expected : String(member.regexp),
+      actual : value
+    });
+  }
+
+  /**
+   * match a value against the alternatives of a OneOf. If none matches, the
+   * errors of the closest alternative are reported, i.e. the one with the
+   * fewest errors among those which match the type of the value. A single
+   * type mismatch otherwise
+   * 
+   * @param {OneOf}
+   *          member the OneOf
+   * @param {any}
+   *          value the value of the implementation
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) array of errors
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the member path
+   * @param {string}
+   *          key the member name for error messages
+   */
+  function matchOneOf (member, value, opts, err, bistack, path, key) {
+    var index, alternative, suberr, closest;
+
+    for (index = 0; index < member.alternatives.length; index += 1) {
+      alternative = member.alternatives[index];
+      if (alternative === null) {
+        if (value === null) {
+          return;
+        }
+        continue;
+      }
+
+      suberr = [];
+      matchValue(alternative, value, opts, suberr, bistack, path, key);
+      if (suberr.length === 0) {
+        return;
+      }
+
+      if (!suberr.some(function (error) {
+        return error.code === 'type-mismatch' && error.path === path;
+      }) && (closest === undefined || suberr.length < closest.length)) {
+        closest = suberr;
+      }
+    }
+
+    if (closest !== undefined) {
+      for (index = 0; index < closest.length; index += 1) {
+        err.push(closest[index]);
+      }
+    } else {
+      err.push(createTypeMismatch(key, toMemberType(member), toType(value),
+          bistack.i.length, path));
+    }
+  }
+
+  /**
+   * match a value against an interface member, i.e. compare the types and
+   * recurse into sub-interfaces and arrays if requested
+   * 
+   * @param {any}
+   *          member the interface member, e.g. a placeholder function or a
+   *          sub-interface
+   * @param {any}
+   *          value the value of the implementation
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) array of errors
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the member path
+   * @param {string}
+   *          key the member name for error messages
+   */
+  function matchValue (member, value, opts, err, bistack, path, key) {
+    var iType, oType;
+
+    if (member instanceof Optional) {
+      if (value === undefined) {
+        return;
+      }
+      member = member.member;
+    }
+    if (member instanceof OneOf) {
+      matchOneOf(member, value, opts, err, bistack, path, key);
+      return;
+    }
+    if (member instanceof CustomType) {
+      if (!(member.name in customTypes)) {
+        err.push(createUnknownTypeError(member.name, bistack.i.length, path));
+      } else if (!testCustomType(member.name, value)) {
+        err.push(createTypeMismatch(key, member.name, toType(value),
+            bistack.i.length, path));
+      }
+      return;
+    }
+    if (member instanceof Pattern) {
+      if (typeof value !== 'string') {
+        err.push(createTypeMismatch(key, 'string', toType(value),
+            bistack.i.length, path));
+      } else if (!testPattern(member, value)) {
+        err.push(createPatternMismatch(key, member, value, bistack.i.length,
+            path));
+      }
+      return;
+    }
+    if (member instanceof Literal) {
+      if (toType(value) !== toType(member.value)) {
+        err.push(createTypeMismatch(key, toType(member.value), toType(value),
+            bistack.i.length, path));
+      } else if (!compareLiterals(member.value, value)) {
+        err.push(createValueMismatch(key, member.value, value,
+            bistack.i.length, path));
+      }
+      return;
+    }
+    if (member instanceof Tuple) {
+      if (toType(value) !== 'array') {
+        err.push(createTypeMismatch(key, 'array', toType(value),
+            bistack.i.length, path));
+      } else if (opts.recurse) {
+        matchTuple(member, value, opts, err, bistack, path);
+      }
+      return;
+    }
+
+    if (member instanceof Reference) {
+      if (resolveInterface(member) === undefined) {
+        err.push(createUnresolvedError(member, bistack.i.length, path));
+        return;
+      }
+      member = resolveInterface(member);
+    }
+
+    iType = toType(member);
+    oType = toType(value);
+
+    switch (true) {
+    case compareTypes(iType, oType, opts):
+    case iType === 'object' && (isFunctionType(oType) || oType === 'array'):
+      // match sub-interface
+      if (opts.recurse && iType === 'object') {
+        if (isArrayInterface(member)) {
+          matchArrays(member.Interface, value, opts, err, bistack, joinPath(
+              path, 'Interface'));
+        } else {
+          compareKeys(member, value, opts, err, bistack, path);
+        }
+      } else if (opts.recurse && iType === 'array') {
+        matchArrays(member, value, opts, err, bistack, path);
+      } else if (opts.arity && isFunctionType(iType)) {
+        if (!compareArity(member, value, opts.arity)) {
+          err.push(createArityMismatch(key, member, value, opts.arity,
+              bistack.i.length, path));
+        }
+      }
+      // other types are only required to match
+      break;
+    default:
+      err.push(createTypeMismatch(key, iType, oType, bistack.i.length, path));
+    }
+  }
+
+  /**
+   * Performs an interface match
+   * 
+   * @param {Interface}
+   *          intf the interface to match against
+   * @param {object}
+   *          obj the implementation
+   * @param {Object}
+   *          opts different options. see matchInterface() source code for a
+   *          complete list
+   * @param {array}
    *          err (output) array of errors
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the member path of intf. '' for the root interface
    */
-  function compareKeys (intf, obj, opts, err, bistack) {
-    var ikeys, okeys, diff, key, iType, oType, index;
+  function compareKeys (intf, obj, opts, err, bistack, path) {
+    var ikeys, okeys, diff, key, oType, idesc, odesc, start, keyPath;
 
     bistack = getBiStack(bistack, intf, obj);
     if (bistack === undefined) {
@@ -604,17 +2103,24 @@ var Implements = (function () {
       return;
     }
 
-    switch (otype) {
-    case 'function':
-    case 'object':
-      break;
-    default:
-      err.push([ bistack.i.length, " invalid type of obj: ", type ].join(''));
+    start = err.length;
+
+    oType = toType(obj);
+    if (oType !== 'object' && !isFunctionType(oType)) {
+      err.push(createError('invalid-object', bistack.i.length, [
+          "invalid type of obj: ", oType ].join(''), {
+        path : path,
+        expected : 'object',
+        actual : oType,
+        intf : intf
+      }));
       return;
     }
 
-    ikeys = getInterfaceKeys(intf).sort();
-    okeys = getObjectKeys(obj).sort();
+    matchExtends(intf, err, bistack.i.length, path);
+
+    ikeys = sortKeys(getInterfaceKeys(intf));
+    okeys = sortKeys(getObjectKeys(obj));
 
     // compare names
     // create diff
@@ -623,11 +2129,20 @@ var Implements = (function () {
     diff.i = diff.a;
     diff.o = diff.b;
 
+    path = joinPath(path, 'Interface');
+
     // if interface keys are missing, abort
     if (diff.i.length !== 0) {
       for (key in diff.i) {
         key = diff.i[key];
-        err.push([ bistack.i.length, " missing key: ", key ].join(''));
+        if (isOptionalKey(intf, key)) {
+          continue;
+        }
+        err.push(createError('missing-key', bistack.i.length, [
+            "missing key: ", String(key) ].join(''), {
+          path : joinPath(path, key),
+          expected : getMemberType(getInterfaceDescriptor(intf, key))
+        }));
       }
     }
 
@@ -637,11 +2152,20 @@ var Implements = (function () {
       // find all differences
       for (key in diff.o) {
         key = diff.o[key];
-        if (opts.noMoreMembers && toType(obj[key]) !== 'function') {
-          err.push([ bistack.i.length, " extra member: ", key ].join(''));
+        oType = getMemberType(getPropertyDescriptor(getMemberObject(obj), key));
+        if (opts.noMoreMembers && !isFunctionType(oType)) {
+          err.push(createError('extra-member', bistack.i.length, [
+              "extra member: ", String(key) ].join(''), {
+            path : joinPath(path, key),
+            actual : oType
+          }));
         }
-        if (opts.noMoreFuncs && toType(obj[key]) === 'function') {
-          err.push([ bistack.i.length, " extra function: ", key ].join(''));
+        if (opts.noMoreFuncs && isFunctionType(oType)) {
+          err.push(createError('extra-function', bistack.i.length, [
+              "extra function: ", String(key) ].join(''), {
+            path : joinPath(path, key),
+            actual : oType
+          }));
         }
       }
     }
@@ -649,35 +2173,29 @@ var Implements = (function () {
     // match the types of each shared key
     for (key in diff.shared) {
       key = diff.shared[key];
-      iType = toType(getInterfaceMember(intf, key));
-      if (obj.prototype !== undefined) {
-        // this is a class
-        oType = toType(obj.prototype[key]);
-      } else {
-        // this is an object, implementation or specially prepared function
-        oType = toType(obj[key]);
-      }
-
-      switch (true) {
-      case iType === oType:
-      case iType === 'object' && (oType === 'function' || oType === 'array'):
-        // match sub-interface
-        if (opts.recurse && iType === 'object') {
-          if (toType(intf.Interface[key].Interface) === 'array') {
-            matchArrays(intf.Interface[key].Interface, obj[key], opts, err, bistack);
-          } else {
-            compareKeys(intf.Interface[key], obj[key], opts, err, bistack);
-          }
-        } else if (opts.recurse && iType === 'array') {
-          matchArrays(intf.Interface[key], obj[key], opts, err, bistack);
+      keyPath = joinPath(path, key);
+      idesc = getInterfaceDescriptor(intf, key);
+      // the prototype for classes. The object itself for objects, instances
+      // and specially prepared functions
+      odesc = getPropertyDescriptor(getMemberObject(obj), key);
+
+      if (isAccessor(idesc)) {
+        compareAccessors(key, idesc, odesc, err, bistack.i.length, keyPath);
+      } else if (isAccessor(odesc)) {
+        // the type of a computed member is unknown without calling its getter,
+        // which may have side effects. Hence: no further checks for getters
+        if (odesc.get === undefined) {
+          err.push(createTypeMismatch(key, toType(idesc
+              && unwrapOptional(idesc.value)), 'setter', bistack.i.length,
+              keyPath));
         }
-        // other types are only required to match
-        break;
-      default:
-        err.push([ bistack.i.length, " type mismatch of ", key, ": ", oType,
-            " != ", iType ].join(''));
+      } else {
+        matchValue(idesc && idesc.value, odesc && odesc.value, opts, err,
+            bistack, keyPath, key);
       }
     }
+
+    attributeErrors(err, start, intf);
   }
 
   /**
@@ -695,11 +2213,18 @@ var Implements = (function () {
    *          err an array of errors
    * @param {object}
    *          bistack a stack for infinite recursion detection
+   * @param {string}
+   *          path the member path of the array
    */
-  function matchArrays (array, obj, opts, err, bistack) {
-    var itype, otype, intf, index, elem, critical, suberr;
+  function matchArrays (array, obj, opts, err, bistack, path) {
+    var itype, otype, intf, index, elem, critical, suberr, found, alternatives;
+
+    if (array instanceof Tuple) {
+      matchTuple(array, obj, opts, err, bistack, path);
+      return;
+    }
 
-    critital = false;
+    critical = false;
 
     bistack = getBiStack(bistack, array, obj);
     if (bistack === undefined) {
@@ -711,44 +2236,80 @@ var Implements = (function () {
     otype = toType(obj);
 
     if (itype !== 'array') {
-      err.push([ bistack.i.length, ' intf.Interface array is no array, but a ',
-          itype ].join(''));
+      err.push(createError('not-an-array', bistack.i.length, [
+          'intf.Interface array is no array, but a ', itype ].join(''), {
+        path : path,
+        expected : 'array',
+        actual : itype
+      }));
       critical = true;
     }
     if (otype !== 'array') {
-      err.push([ bistack.i.length,
-          ' array matching: object is no array, but a ', otype ].join(''));
+      err.push(createError('not-an-array', bistack.i.length, [
+          'array matching: object is no array, but a ', otype ].join(''), {
+        path : path,
+        expected : 'array',
+        actual : otype
+      }));
       critical = true;
     }
 
     if (!critical) {
+      alternatives = expandAlternatives(array);
+
       for (index in obj) {
         elem = obj[index];
         otype = toType(elem);
         found = false;
 
-        for (intf in array) {
-          intf = array[intf];
+        for (intf in alternatives) {
+          intf = resolveMember(alternatives[intf]);
           itype = toType(intf);
 
           suberr = [];
 
           switch (itype) {
           case 'object':
+            if (intf instanceof CustomType) {
+              found = intf.name in customTypes && testCustomType(intf.name,
+                  elem);
+              break;
+            }
+            if (intf instanceof Pattern) {
+              found = testPattern(intf, elem);
+              break;
+            }
+            if (intf instanceof Literal) {
+              found = otype === toType(intf.value) && compareLiterals(
+                  intf.value, elem);
+              break;
+            }
+            if (intf instanceof Tuple) {
+              matchTuple(intf, elem, opts, suberr, bistack, joinPath(path,
+                  Number(index)));
+              found = (suberr.length === 0);
+              break;
+            }
             // must be an interface, hence: full interface match
-
-            compareKeys(intf, elem, options, suberr, bistack);
+            if (isArrayInterface(intf)) {
+              matchArrays(intf.Interface, elem, opts, suberr, bistack,
+                  joinPath(path, Number(index)));
+            } else {
+              compareKeys(intf, elem, opts, suberr, bistack, joinPath(path,
+                  Number(index)));
+            }
             found = (suberr.length === 0);
 
             break;
           case 'array':
             // nested arrays. great.
-            matchArrays(intf, elem, opts, suberr, bistack);
+            matchArrays(intf, elem, opts, suberr, bistack, joinPath(path,
+                Number(index)));
             found = (suberr.length === 0);
             break;
           default:
             // a simple match should suffice
-            found = (itype === otype);
+            found = compareTypes(itype, otype, opts);
             break;
           }
 
@@ -758,51 +2319,101 @@ var Implements = (function () {
         }
 
         if (!found) {
-          err.push([ bistack.i.length,
-              " Interface array doesn't contain match for element at index ",
-              index, ': ', elem ].join(''));
+          err.push(createError('no-array-match', bistack.i.length, [
+              "Interface array doesn't contain match for element at index ",
+              index, ': ', elem ].join(''), {
+            path : joinPath(path, Number(index)),
+            actual : otype,
+            intf : array
+          }));
         }
       }
     }
   }
 
   /**
-   * Tests the implementation against the interface
-   * 
-   * opts string characters:
-   * 
-   * 'i' - also validate the interface using validate()
-   * 
-   * 'r' - check sub-interfaces recursively
-   * 
-   * 'f' - disallow additional functions
-   * 
-   * 'm' - disallow additional members, including functions
+   * match an array against a tuple, i.e. its length and each element against
+   * the member at its position. Elements are always matched recursively, like
+   * the ones of Interface arrays
    * 
-   * @param {Interface}
-   *          intf The interface to match against
+   * @param {Tuple}
+   *          tuple the tuple
+   * @param {array}
+   *          obj the array
    * @param {object}
-   *          obj the implementation
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
    * @param {string}
-   *          opts string of option characters (see above) Default: ""
+   *          path the member path of the tuple
+   */
+  function matchTuple (tuple, obj, opts, err, bistack, path) {
+    var index, member;
+
+    bistack = getBiStack(bistack, tuple, obj);
+    if (bistack === undefined) {
+      // recursion limit reached, but still a valid match
+      return;
+    }
+
+    if (toType(obj) !== 'array') {
+      err.push(createError('not-an-array', bistack.i.length, [
+          'tuple matching: object is no array, but a ', toType(obj) ]
+          .join(''), {
+        path : path,
+        expected : 'array',
+        actual : toType(obj)
+      }));
+      return;
+    }
+
+    if (obj.length < tuple.required || tuple.rest === undefined
+        && obj.length > tuple.elements.length) {
+      err.push(createError('length-mismatch', bistack.i.length, [
+          'tuple length mismatch: ', obj.length, ' != ',
+          formatTupleLength(tuple) ].join(''), {
+        path : path,
+        expected : formatTupleLength(tuple),
+        actual : obj.length
+      }));
+    }
+
+    for (index = 0; index < obj.length; index += 1) {
+      member = getTupleMember(tuple, index);
+      if (member !== undefined) {
+        matchValue(member, obj[index], opts, err, bistack, joinPath(path,
+            index), [ '[', index, ']' ].join(''));
+      }
+    }
+  }
+
+  /**
+   * parse an option string. See matchInterface() for the option characters
+   * 
+   * @param {string}
+   *          opts string of option characters. Default: ""
    * @param {array}
-   *          err (output) an array of errors
+   *          err (output) an array of error records
+   * @returns {object} an options object, or undefined if opts is invalid
    */
-  function matchInterface (intf, obj, opts, err) {
-    var options, opt, critical, bistack, type;
+  function parseOptions (opts, err) {
+    var options, opt, valid;
 
-    critical = false;
+    valid = true;
 
     options = {
       noMoreFuncs : false,
       noMoreMembers : false,
       recurse : false,
-      testIntf : false
+      testIntf : false,
+      arity : false,
+      functionKinds : false
     };
 
     opts = opts || "";
 
-    opts.split('');
     for (opt in opts) {
       opt = opts[opt];
       switch (opt) {
@@ -818,78 +2429,5185 @@ var Implements = (function () {
       case 'm':
         options.noMoreMembers = true;
         break;
+      case 'a':
+        options.arity = 'minimum';
+        break;
+      case 'A':
+        options.arity = 'exact';
+        break;
+      case 'k':
+        options.functionKinds = true;
+        break;
       default:
-        err.push([ 'unknown character in opts "', opts, '": ', opt ].join(''));
-        critical = true;
+        err.push(createError('invalid-option', undefined, [
+            'unknown character in opts "', opts, '": ', opt ].join(''), {
+          actual : opt
+        }));
+        valid = false;
         break;
       }
     }
 
-    if (!critical) {
-      type = intf && toType(intf.Interface);
-      if (!intf) {
-        err.push("missing interface to match against");
-        critical = true;
-      } else if (type !== 'object' && type !== 'array') {
-        err.push([ "Interface.match(): invalid type of intf: ", toType(intf) ].join(''));
-        critical = true;
-      } else if (options.testIntf) {
-        critical = err.length;
-        validateInterface(intf, err, []);
-        critical = err.length !== critical;
-      }
+    return valid ? options : undefined;
+  }
 
-      otype = toType(obj);
-      if (!obj && obj !== {}) {
-        err.push("missing object for matching");
-        critical = true;
-      } else if (otype !== 'object' && otype !== 'function' && otype !== 'array') {
-        err.push([ 'object has invalid type: ', toType(obj) ].join(''));
-        critical = true;
-      }
+  /**
+   * retrieve the dependency for a required interface from the environment
+   * 
+   * @param {function,
+   *          Map} env either a resolver function(requiredIntf, requiringIntf)
+   *          or a Map from required interfaces or their names to dependencies
+   * @param {Interface}
+   *          intf the required interface
+   * @param {Interface}
+   *          requiring the interface which requires intf
+   * @param {string}
+   *          name (optional) the name by which intf is required
+   * @returns {object} the dependency or undefined if not found
+   */
+  function resolveDependency (env, intf, requiring, name) {
+    switch (toType(env)) {
+    case 'function':
+      return env(intf, requiring);
+    case 'map':
+      return env.has(intf) || name === undefined ? env.get(intf) : env.get(name);
+    default:
+      return undefined;
+    }
+  }
+
+  /**
+   * match every interface in the Requires arrays of intf and of its Extends
+   * against the dependencies from the environment. The dependencies are
+   * checked for their own Requires as well.
+   * 
+   * @param {Interface}
+   *          intf the requiring interface
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {function,
+   *          Map} env the environment. See resolveDependency()
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          path the member path of intf
+   */
+  function matchRequires (intf, opts, err, env, stack, path) {
+    var index, required, dependency, requiredPath, start;
+
+    stack = getStack(stack, intf);
+    if (!stack || toType(intf) !== 'object') {
+      return;
+    }
+
+    if (toType(intf.Requires) === 'array') {
+      for (index = 0; index < intf.Requires.length; index += 1) {
+        required = resolveInterface(intf.Requires[index]);
+        requiredPath = joinPath(joinPath(path, 'Requires'), index);
+
+        if (required === undefined
+            && getReferenceName(intf.Requires[index]) !== undefined) {
+          err.push(createUnresolvedError(intf.Requires[index], stack.length,
+              requiredPath));
+          attributeErrors(err, err.length - 1, intf);
+          continue;
+        }
+
+        dependency = resolveDependency(env, required, intf,
+            getReferenceName(intf.Requires[index]));
+
+        if (dependency === undefined || dependency === null) {
+          err.push(createError('missing-dependency', stack.length,
+              'no dependency found for required interface', {
+                path : requiredPath,
+                intf : intf
+              }));
+        } else if (required && toType(required.Interface) === 'object'
+            && !isArrayInterface(required)) {
+          start = err.length;
+          compareKeys(required, dependency, opts, err, createBiStack(),
+              requiredPath);
+          // compareKeys() attributes the errors to the required interface
+          for (; start < err.length; start += 1) {
+            err[start].intf = intf;
+          }
+          matchRequires(required, opts, err, env, stack, requiredPath);
+        }
+      }
+    }
+
+    if (toType(intf.Extends) === 'array') {
+      for (index = 0; index < intf.Extends.length; index += 1) {
+        matchRequires(resolveInterface(intf.Extends[index]), opts, err, env,
+            stack, joinPath(joinPath(path, 'Extends'), index));
+      }
+    }
+  }
+
+  /**
+   * Tests the implementation against the interface
+   * 
+   * opts string characters:
+   * 
+   * 'i' - also validate the interface using validate()
+   * 
+   * 'r' - check sub-interfaces recursively
+   * 
+   * 'f' - disallow additional functions
+   * 
+   * 'm' - disallow additional members, including functions
+   * 
+   * 'a' - functions have to accept at least the parameters of the placeholder
+   * 
+   * 'A' - functions have to declare exactly the parameters of the placeholder
+   * 
+   * 'k' - functions have to be of the same kind as the placeholder: plain,
+   * async, generator or async generator function
+   * 
+   * @param {Interface}
+   *          intf The interface to match against, or its registered name
+   * @param {object}
+   *          obj the implementation
+   * @param {string}
+   *          opts string of option characters (see above) Default: ""
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {function,
+   *          Map} env (optional) the environment for the Requires arrays. See
+   *          resolveDependency(). Requires are ignored if missing.
+   */
+  function matchInterface (intf, obj, opts, err, env) {
+    var options, critical, bistack, type, otype;
+
+    options = parseOptions(opts, err);
+    critical = options === undefined;
+
+    if (!critical && getReferenceName(intf) !== undefined) {
+      if (resolveInterface(intf) === undefined) {
+        err.push(createUnresolvedError(intf, undefined, ''));
+        critical = true;
+      }
+      intf = resolveInterface(intf);
+    }
+
+    if (!critical) {
+      type = intf && toType(intf.Interface);
+      if (!intf) {
+        err.push(createError('no-interface', undefined,
+            "missing interface to match against"));
+        critical = true;
+      } else if (type !== 'object' && type !== 'array') {
+        err.push(createError('invalid-interface', undefined, [
+            "Interface.match(): invalid type of intf: ", toType(intf) ].join(''), {
+          expected : 'object',
+          actual : toType(intf)
+        }));
+        critical = true;
+      } else if (options.testIntf) {
+        critical = err.length;
+        validateInterface(intf, err, [], '');
+        critical = err.length !== critical;
+      }
+
+      otype = toType(obj);
+      if (!obj && obj !== {}) {
+        err.push(createError('no-object', undefined,
+            "missing object for matching"));
+        critical = true;
+      } else if (otype !== 'object' && !isFunctionType(otype) && otype !== 'array') {
+        err.push(createError('invalid-object', undefined, [
+            'object has invalid type: ', otype ].join(''), {
+          expected : 'object',
+          actual : otype
+        }));
+        critical = true;
+      }
+
+      if (env !== undefined && toType(env) !== 'function'
+          && toType(env) !== 'map') {
+        err.push(createError('invalid-environment', undefined, [
+            'environment has invalid type: ', toType(env) ].join(''), {
+          expected : 'function',
+          actual : toType(env)
+        }));
+        critical = true;
+      }
+    }
+
+    if (!critical) {
+      bistack = createBiStack();
+      if (isArrayInterface(intf)) {
+        matchArrays(intf.Interface, obj, options, err, bistack, 'Interface');
+      } else {
+        compareKeys(intf, obj, options, err, bistack, '');
+      }
+
+      if (env !== undefined) {
+        matchRequires(intf, options, err, env, [], '');
+      }
+    }
+  }
+
+  /**
+   * a wrapper around matchInterface(). see matchInterface() for information on
+   * the parameters and options
+   * 
+   * @returns {array} an array of error records. [] on success
+   */
+  function matchDetailed (intf, obj, opts, env) {
+    var err;
+
+    err = [];
+
+    matchInterface(intf, obj, opts, err, env);
+
+    return err;
+  }
+
+  /**
+   * string version of matchDetailed()
+   * 
+   * @returns {string} a newline-separated string of errors
+   */
+  function match (intf, obj, opts, env) {
+    return formatErrors(matchDetailed(intf, obj, opts, env));
+  }
+
+  /**
+   * throw an error for a non-empty array of error records, or pass them to a
+   * report function instead
+   * 
+   * @param {array}
+   *          err an array of error records
+   * @param {function}
+   *          report (optional) a function which receives the error records
+   *          instead of throwing them
+   */
+  function reportErrors (err, report) {
+    if (err.length === 0) {
+      return;
+    }
+
+    if (report) {
+      report(err);
+    } else {
+      throw new ImplementsError(err);
+    }
+  }
+
+  /**
+   * match an implementation and throw an ImplementsError on mismatch
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {object}
+   *          obj the implementation
+   * @param {string}
+   *          opts string of option characters. See matchInterface()
+   * @param {function,
+   *          Map} env (optional) the environment for Requires. See match()
+   * @returns {object} obj
+   */
+  function assert (intf, obj, opts, env) {
+    reportErrors(matchDetailed(intf, obj, opts, env));
+
+    return obj;
+  }
+
+  /**
+   * create a class decorator, which asserts that the class implements all
+   * given interfaces and records them as declared by the class
+   * 
+   * @param {Interface}
+   *          arguments one or more interfaces
+   * @returns {function} the decorator. Returns the class itself
+   */
+  function implementing () {
+    var intfs;
+
+    intfs = Array.prototype.slice.call(arguments);
+
+    return function (cls) {
+      var err, intf, index;
+
+      if (!isFunctionType(toType(cls))) {
+        throw new TypeError('Implements.implementing(): no class given');
+      }
+
+      err = [];
+      for (intf in intfs) {
+        err = err.concat(matchDetailed(intfs[intf], cls));
+      }
+      reportErrors(err);
+
+      index = declaredClasses.indexOf(cls);
+      if (index === -1) {
+        declaredClasses.push(cls);
+        declaredInterfaces.push(intfs);
+      } else {
+        declaredInterfaces[index] = arrayUniq(declaredInterfaces[index]
+            .concat(intfs));
+      }
+
+      return cls;
+    };
+  }
+
+  /**
+   * list the interfaces which a class or the class of an instance declared via
+   * implementing(), including the ones of its superclasses
+   * 
+   * @param {object}
+   *          obj a class or an instance
+   * @returns {array} an array of interfaces. [] if none were declared
+   */
+  function declared (obj) {
+    var cls, index, intfs;
+
+    intfs = [];
+
+    cls = isFunctionType(toType(obj)) ? obj : obj && obj.constructor;
+
+    while (cls && cls !== Function.prototype) {
+      index = declaredClasses.indexOf(cls);
+      if (index !== -1) {
+        intfs = intfs.concat(declaredInterfaces[index]);
+      }
+      cls = Object.getPrototypeOf(cls);
+    }
+
+    return arrayUniq(intfs);
+  }
+
+  /**
+   * match a single value against an interface member, as if it was assigned to
+   * that member of an implementation
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {string}
+   *          key the member name. The member may be inherited via Extends
+   * @param {any}
+   *          value the value to match
+   * @param {string}
+   *          opts string of option characters. See matchInterface()
+   * @returns {array} an array of error records. [] on match
+   */
+  function matchMember (intf, key, value, opts) {
+    var err, options, bistack;
+
+    err = [];
+
+    options = parseOptions(opts, err);
+    if (options !== undefined) {
+      bistack = getBiStack(createBiStack(), intf, value);
+      matchValue(getInterfaceDescriptor(intf, key).value, value, options, err,
+          bistack, joinPath('Interface', key), key);
+      attributeErrors(err, 0, intf);
+    }
+
+    return err;
+  }
+
+  /**
+   * match a value against a single type of a signature
+   * 
+   * @param {any}
+   *          spec the type. See validateSignatureType()
+   * @param {any}
+   *          value the value to match
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the path of the type
+   * @param {string}
+   *          label a description of the value for error messages
+   */
+  function matchSignatureType (spec, value, opts, err, bistack, path, label) {
+    if (toType(spec) !== 'string') {
+      matchValue(spec, value, opts, err, bistack, path, label);
+    } else if (spec in customTypes) {
+      if (!testCustomType(spec, value)) {
+        err.push(createTypeMismatch(label, spec, toType(value),
+            bistack.i.length, path));
+      }
+    } else if (spec !== 'any' && !compareTypes(spec, toType(value), opts)) {
+      err.push(createTypeMismatch(label, spec, toType(value), bistack.i.length,
+          path));
+    }
+  }
+
+  /**
+   * wrap a function, so the arguments and the return value of every call are
+   * matched against a signature. Structured arguments are matched recursively.
+   * 
+   * @param {function}
+   *          func the function to wrap
+   * @param {Signature}
+   *          sig the signature
+   * @param {Interface}
+   *          intf the interface which declares the function. undefined for
+   *          the standalone wrappers of signature().wrap()
+   * @param {string}
+   *          key the member name of the function
+   * @param {string}
+   *          opts string of option characters. See matchInterface()
+   * @param {function}
+   *          report (optional) a function which receives the error records
+   *          instead of throwing them. See reportErrors()
+   * @returns {function} the wrapped function
+   */
+  function wrapSignature (func, sig, intf, key, opts, report) {
+    var options, path, err;
+
+    err = [];
+    options = parseOptions((opts || '') + 'r', err);
+    // invalid option strings are a programming error, hence no report()
+    reportErrors(err);
+    path = joinPath(intf === undefined ? '' : 'Interface', key);
+
+    return function () {
+      var err, index, bistack, result;
+
+      err = [];
+      bistack = getBiStack(createBiStack(), sig, arguments);
+
+      for (index = 0; index < sig.params.length; index += 1) {
+        matchSignatureType(sig.params[index], arguments[index], options, err,
+            bistack, joinPath(joinPath(path, 'params'), index), [ String(key),
+                ' parameter ', index ].join(''));
+      }
+      attributeErrors(err, 0, intf);
+      reportErrors(err, report);
+
+      result = func.apply(this, arguments);
+
+      if (sig.result !== undefined) {
+        err = [];
+        matchSignatureType(sig.result, result, options, err, bistack, joinPath(
+            path, 'result'), [ String(key), ' result' ].join(''));
+        attributeErrors(err, 0, intf);
+        reportErrors(err, report);
+      }
+
+      return result;
+    };
+  }
+
+  /**
+   * test whether a key is commonly probed by the language or the runtime,
+   * e.g. by JSON.stringify(), Promise.resolve() or string conversion, and
+   * hence always accessible on enforced objects
+   * 
+   * @param {string,
+   *          symbol} key the key
+   * @returns {boolean} true if the key is probed, false otherwise
+   */
+  function isProbedKey (key) {
+    if (toType(key) === 'symbol') {
+      return key === Symbol.toPrimitive || key === Symbol.toStringTag
+          || key === Symbol.for('nodejs.util.inspect.custom');
+    }
+
+    return key in Object.prototype || key === 'then' || key === 'toJSON';
+  }
+
+  /**
+   * test whether a Proxy may hide a member of its target. The Proxy invariants
+   * forbid it for non-configurable own members and members of non-extensible
+   * targets
+   * 
+   * @param {object}
+   *          target the target of the Proxy
+   * @param {string,
+   *          symbol} key the member name
+   * @returns {boolean} true if the member may be reported as missing
+   */
+  function isHideable (target, key) {
+    var desc;
+
+    desc = Object.getOwnPropertyDescriptor(target, key);
+    return desc === undefined || desc.configurable
+        && Object.isExtensible(target);
+  }
+
+  /**
+   * wrap an implementation in a Proxy, which only grants access to the members
+   * of the interface and its Extends. Declared members can only be reassigned
+   * to matching values, and undeclared members are hidden from enumeration,
+   * the in operator and property descriptors.
+   * Functions are bound to the implementation, so it can still access its
+   * undeclared members internally. Calls of functions with a signature() are
+   * checked for their argument and return types.
+   * 
+   * @param {Interface}
+   *          intf the interface, which must have an Interface object, or its
+   *          registered name
+   * @param {object}
+   *          obj the implementation. It is matched against intf right away
+   * @param {string}
+   *          opts string of option characters. See matchInterface()
+   * @param {function}
+   *          report (optional) a function which receives an array of error
+   *          records for each violation. Violations throw an ImplementsError
+   *          otherwise
+   * @returns {Proxy} the enforcing Proxy around obj
+   */
+  function enforce (intf, obj, opts, report) {
+    var keys, bound;
+
+    if (typeof Proxy === 'undefined') {
+      throw new Error('Implements.enforce(): Proxy is not supported');
+    }
+    if (getReferenceName(intf) !== undefined) {
+      if (resolveInterface(intf) === undefined) {
+        throw new TypeError([
+            'Implements.enforce(): unresolved interface name: ',
+            getReferenceName(intf) ].join(''));
+      }
+      intf = resolveInterface(intf);
+    }
+    if (!intf || toType(intf.Interface) !== 'object'
+        || isArrayInterface(intf)) {
+      throw new TypeError('Implements.enforce(): intf.Interface is no object');
+    }
+
+    reportErrors(matchDetailed(intf, obj, opts), report);
+
+    keys = getInterfaceKeys(intf);
+    bound = new Map();
+
+    return new Proxy(obj, {
+      get : function (target, key) {
+        var value, sig, desc;
+
+        if (keys.indexOf(key) === -1 && !isProbedKey(key)) {
+          reportErrors([ createError('undeclared-member', 1, [
+              'access to undeclared member: ', String(key) ].join(''), {
+            path : joinPath('Interface', key),
+            intf : intf
+          }) ], report);
+        }
+
+        value = target[key];
+
+        desc = Object.getOwnPropertyDescriptor(target, key);
+        if (desc && !desc.configurable && desc.writable === false) {
+          // the Proxy invariants require the value itself, e.g. when frozen
+          return value;
+        }
+
+        if (isFunctionType(toType(value))) {
+          if (!bound.has(value)) {
+            sig = keys.indexOf(key) === -1 ? undefined
+                : getSignature(unwrapOptional(getInterfaceDescriptor(intf,
+                    key).value));
+            if (sig === undefined) {
+              bound.set(value, value.bind(target));
+            } else {
+              bound.set(value, wrapSignature(value.bind(target), sig, intf, key,
+                  opts, report));
+            }
+          }
+          return bound.get(value);
+        }
+
+        return value;
+      },
+      set : function (target, key, value) {
+        if (keys.indexOf(key) === -1) {
+          reportErrors([ createError('undeclared-member', 1, [
+              'assignment to undeclared member: ', String(key) ].join(''), {
+            path : joinPath('Interface', key),
+            intf : intf
+          }) ], report);
+        } else if (!isAccessor(getInterfaceDescriptor(intf, key))) {
+          reportErrors(matchMember(intf, key, value, opts), report);
+        }
+
+        // fails for non-writable members, which throws in strict mode
+        return Reflect.set(target, key, value);
+      },
+      has : function (target, key) {
+        if (keys.indexOf(key) === -1 && !isProbedKey(key)
+            && isHideable(target, key)) {
+          return false;
+        }
+        return key in target;
+      },
+      ownKeys : function (target) {
+        // hide undeclared members from enumeration, as far as the Proxy
+        // invariants permit
+        return Reflect.ownKeys(target).filter(function (key) {
+          return keys.indexOf(key) !== -1 || !isHideable(target, key);
+        });
+      },
+      getOwnPropertyDescriptor : function (target, key) {
+        if (keys.indexOf(key) === -1 && isHideable(target, key)) {
+          return undefined;
+        }
+        return Object.getOwnPropertyDescriptor(target, key);
+      }
+    });
+  }
+
+  /**
+   * register an interface by name
+   * 
+   * @param {string}
+   *          name a non-empty name
+   * @param {Interface}
+   *          intf the interface
+   * @returns {Interface} intf
+   */
+  function define (name, intf) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('Implements.define(): invalid name');
+    }
+    if (toType(intf) !== 'object') {
+      throw new TypeError('Implements.define(): intf is no object');
+    }
+    if (name in registry && registry[name] !== intf) {
+      throw new TypeError([ 'Implements.define(): ', name,
+          ' is already defined' ].join(''));
+    }
+
+    registry[name] = intf;
+
+    return intf;
+  }
+
+  /**
+   * retrieve a registered interface
+   * 
+   * @param {string}
+   *          name the name of the interface
+   * @returns {Interface} the interface or undefined if unregistered
+   */
+  function getDefinition (name) {
+    return typeof name === 'string' ? resolveInterface(name) : undefined;
+  }
+
+  /**
+   * create a by-name reference to a registered interface, which is valid
+   * wherever an interface is
+   * 
+   * @param {string}
+   *          name the name of the interface
+   * @returns {Reference} the reference
+   */
+  function ref (name) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('Implements.ref(): invalid name');
+    }
+
+    return new Reference(name);
+  }
+
+  /**
+   * mark a member of an Interface object as optional: it may be missing or
+   * undefined, but has to match otherwise
+   * 
+   * @param {any}
+   *          member the interface member, e.g. a placeholder function or a
+   *          sub-interface
+   * @returns {Optional} the optional member
+   */
+  function optional (member) {
+    return new Optional(unwrapOptional(member));
+  }
+
+  /**
+   * create a member with alternative types. Nested OneOfs are flattened
+   * 
+   * @param {any}
+   *          arguments the alternative members. null for null
+   * @returns {OneOf} the member
+   */
+  function oneOf () {
+    var alternatives, index;
+
+    if (arguments.length === 0) {
+      throw new TypeError('Implements.oneOf(): no alternatives');
+    }
+
+    alternatives = [];
+    for (index = 0; index < arguments.length; index += 1) {
+      alternatives = alternatives.concat(getAlternatives(arguments[index]));
+    }
+
+    return new OneOf(arrayUniq(alternatives));
+  }
+
+  /**
+   * create a member which may also be null
+   * 
+   * @param {any}
+   *          member the member
+   * @returns {OneOf} the member
+   */
+  function nullable (member) {
+    return oneOf(member, null);
+  }
+
+  /**
+   * register a custom type for use as an interface member
+   * 
+   * @param {string}
+   *          name a non-empty name. The names of the types of toType() and
+   *          'any' are reserved
+   * @param {function}
+   *          predicate a function which returns true for values of the type
+   * @param {object}
+   *          options (optional) an object with the optional properties
+   *          typeScript, jsonSchema and sample
+   * @returns {CustomType} a member of the type
+   */
+  function registerType (name, predicate, options) {
+    if (typeof name !== 'string' || name === '' || name === 'any'
+        || typeNames.indexOf(name) !== -1) {
+      throw new TypeError('Implements.registerType(): invalid name');
+    }
+    if (typeof predicate !== 'function') {
+      throw new TypeError(
+          'Implements.registerType(): predicate is no function');
+    }
+    if (name in customTypes && customTypes[name].predicate !== predicate) {
+      throw new TypeError([ 'Implements.registerType(): ', name,
+          ' is already registered' ].join(''));
+    }
+    if (name in customTypes && options === undefined) {
+      // keep the options of the first registration
+      return new CustomType(name);
+    }
+
+    options = options || {};
+    customTypes[name] = {
+      predicate : predicate,
+      typeScript : options.typeScript,
+      jsonSchema : options.jsonSchema,
+      sample : options.sample
+    };
+
+    return new CustomType(name);
+  }
+
+  /**
+   * create a member of a custom type, which may be registered later
+   * 
+   * @param {string}
+   *          name the name of the type
+   * @returns {CustomType} the member
+   */
+  function customType (name) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('Implements.type(): invalid name');
+    }
+
+    return new CustomType(name);
+  }
+
+  /**
+   * create a string member whose content has to match a regexp
+   * 
+   * @param {RegExp}
+   *          regexp the pattern
+   * @param {string}
+   *          example (optional) a matching string for mock() and arbitrary()
+   * @returns {Pattern} the member
+   */
+  function pattern (regexp, example) {
+    var member;
+
+    if (toType(regexp) !== 'regexp') {
+      throw new TypeError('Implements.pattern(): regexp is no RegExp');
+    }
+
+    member = new Pattern(regexp, example);
+    if (example !== undefined && !testPattern(member, example)) {
+      throw new TypeError([ 'Implements.pattern(): example ',
+          formatLiteral(example), ' doesn\'t match ', String(regexp) ]
+          .join(''));
+    }
+
+    return member;
+  }
+
+  /**
+   * create a member which only matches the exact value
+   * 
+   * @param {any}
+   *          value a number, string or boolean
+   * @returns {Literal} the member
+   */
+  function literal (value) {
+    if (!isLiteralType(toType(value))) {
+      throw new TypeError(
+          'Implements.literal(): value is no number, string or boolean');
+    }
+
+    return new Literal(value);
+  }
+
+  /**
+   * create an array member with positional element types. Trailing elements
+   * may be optional, and the last argument may be a rest element
+   * 
+   * @param {any}
+   *          arguments the element members, optional() members and rest()
+   * @returns {Tuple} the member
+   */
+  function tuple () {
+    var elements, required, restMember, index, element;
+
+    elements = [];
+    required = 0;
+
+    for (index = 0; index < arguments.length; index += 1) {
+      element = arguments[index];
+      if (element instanceof Rest) {
+        if (index !== arguments.length - 1) {
+          throw new TypeError(
+              'Implements.tuple(): the rest element has to be the last one');
+        }
+        restMember = element.member;
+      } else if (element instanceof Optional) {
+        elements.push(element);
+      } else if (required !== elements.length) {
+        throw new TypeError([ 'Implements.tuple(): required element ', index,
+            ' after an optional one' ].join(''));
+      } else {
+        elements.push(element);
+        required += 1;
+      }
+    }
+
+    return new Tuple(elements, required, restMember);
+  }
+
+  /**
+   * create the rest element of a tuple, which describes all further elements
+   * 
+   * @param {any}
+   *          member the member of the rest elements
+   * @returns {Rest} the rest element. Only valid as the last argument of
+   *          tuple()
+   */
+  function rest (member) {
+    return new Rest(unwrapOptional(member));
+  }
+
+  /**
+   * create a placeholder function with parameter and return types
+   * 
+   * @param {array}
+   *          params the parameter types. See validateSignatureType()
+   * @param {any}
+   *          result (optional) the return type. Unchecked if undefined
+   * @returns {function} a placeholder function with params.length parameters
+   */
+  function signature (params, result) {
+    var placeholder;
+
+    if (toType(params) !== 'array') {
+      throw new TypeError('Implements.signature(): params is no array');
+    }
+
+    placeholder = function () {
+    };
+
+    Object.defineProperty(placeholder, 'length', {
+      value : params.length
+    });
+    Object.defineProperty(placeholder, 'signature', {
+      value : new Signature(params.slice(), result)
+    });
+    Object.defineProperty(placeholder, 'wrap', {
+      value : function (func, opts, report) {
+        if (!isFunctionType(toType(func))) {
+          throw new TypeError('Implements.signature().wrap(): no function');
+        }
+        return wrapSignature(func, placeholder.signature, undefined,
+            func.name || 'function', opts, report);
+      }
+    });
+
+    return placeholder;
+  }
+
+  /**
+   * find the name under which an interface was registered
+   * 
+   * @param {any}
+   *          intf an interface, a name or a Reference
+   * @returns {string} the name or undefined if intf is unregistered
+   */
+  function getDefinedName (intf) {
+    var name;
+
+    name = getReferenceName(intf);
+    if (name !== undefined) {
+      return name;
+    }
+
+    for (name in registry) {
+      if (registry[name] === intf) {
+        return name;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * convert an interface name to a valid TypeScript identifier
+   * 
+   * @param {string}
+   *          name the name
+   * @returns {string} the identifier
+   */
+  function toTypeScriptIdentifier (name) {
+    name = String(name).replace(/[^A-Za-z0-9_$]/g, '_');
+    return /^[0-9]/.test(name) ? [ '_', name ].join('') : name;
+  }
+
+  /**
+   * convert a member key to a TypeScript property name
+   * 
+   * @param {string,
+   *          symbol} key the key
+   * @returns {string} the property name or undefined for symbols other than
+   *          the well-known ones, which TypeScript can't declare
+   */
+  function toTypeScriptKey (key) {
+    var names, index;
+
+    if (typeof key === 'symbol') {
+      names = Object.getOwnPropertyNames(Symbol);
+      for (index = 0; index < names.length; index += 1) {
+        if (Symbol[names[index]] === key) {
+          return [ '[Symbol.', names[index], ']' ].join('');
+        }
+      }
+      return undefined;
+    }
+
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
+  }
+
+  /**
+   * convert a type name of a signature to a TypeScript type
+   * 
+   * @param {string}
+   *          type the type name. See validateSignatureType()
+   * @returns {string} the TypeScript type
+   */
+  function toTypeScriptTypeName (type) {
+    if (type in customTypes) {
+      return customTypes[type].typeScript || 'any';
+    }
+
+    switch (type) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+    case 'symbol':
+    case 'bigint':
+    case 'undefined':
+    case 'null':
+    case 'object':
+    case 'any':
+      return type;
+    case 'date':
+      return 'Date';
+    case 'regexp':
+      return 'RegExp';
+    case 'array':
+      return 'any[]';
+    case 'map':
+      return 'Map<any, any>';
+    case 'set':
+      return 'Set<any>';
+    case 'promise':
+      return 'Promise<any>';
+    case 'function':
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
+      return 'Function';
+    default:
+      return 'any';
+    }
+  }
+
+  /**
+   * join alternative types to an array type
+   * 
+   * @param {array}
+   *          types an array of TypeScript types
+   * @returns {string} the array type
+   */
+  function toTypeScriptArray (types) {
+    var type;
+
+    types = arrayUniq(types);
+    if (types.length === 0) {
+      return 'any[]';
+    }
+
+    type = types.join(' | ');
+    if (types.length > 1 || !/^[A-Za-z0-9_$.<>\[\]]+$/.test(type)) {
+      type = [ '(', type, ')' ].join('');
+    }
+
+    return [ type, '[]' ].join('');
+  }
+
+  /**
+   * convert the parameters and the return type of a placeholder function
+   * 
+   * @param {function}
+   *          func the placeholder
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          declared the name of the declared interface, which refers to
+   *          itself
+   * @param {string}
+   *          indent the indentation of the enclosing declaration
+   * @returns {object} an object with the TypeScript parameter list as params
+   *          and the return type as result
+   */
+  function toTypeScriptFunction (func, stack, declared, indent) {
+    var sig, arity, params, index, result;
+
+    sig = getSignature(func);
+    arity = getArity(func);
+    params = [];
+
+    for (index = 0; index < arity.declared; index += 1) {
+      params.push([ 'arg', index, index < arity.required ? '' : '?', ': ',
+          sig ? toTypeScriptType(sig.params[index], stack, declared, indent,
+              true) : 'any' ].join(''));
+    }
+    if (arity.rest) {
+      params.push('...args: any[]');
+    }
+
+    switch (toType(func)) {
+    case 'asyncfunction':
+      result = 'Promise<any>';
+      break;
+    case 'generatorfunction':
+      result = 'Generator<any>';
+      break;
+    case 'asyncgeneratorfunction':
+      result = 'AsyncGenerator<any>';
+      break;
+    default:
+      result = sig && sig.result !== undefined ? toTypeScriptType(sig.result,
+          stack, declared, indent, true) : 'any';
+    }
+
+    return {
+      params : params.join(', '),
+      result : result
+    };
+  }
+
+  /**
+   * convert an interface member, a sub-interface or a signature type to a
+   * TypeScript type
+   * 
+   * @param {any}
+   *          value the member
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          declared the name of the declared interface, which refers to
+   *          itself
+   * @param {string}
+   *          indent the indentation of the enclosing declaration
+   * @param {boolean}
+   *          isSpec true if strings are signature type names
+   * @returns {string} the TypeScript type
+   */
+  function toTypeScriptType (value, stack, declared, indent, isSpec) {
+    var type, func, types, index;
+
+    if (getDefinedName(value) !== undefined && typeof value !== 'string') {
+      return toTypeScriptIdentifier(getDefinedName(value));
+    }
+    if (value instanceof CustomType) {
+      return toTypeScriptTypeName(value.name);
+    }
+    if (value instanceof Pattern) {
+      return 'string';
+    }
+    if (value instanceof Literal) {
+      // TypeScript has no literal types for NaN and the infinities
+      return typeof value.value === 'number' && !isFinite(value.value)
+          ? 'number' : JSON.stringify(value.value);
+    }
+    if (value instanceof OneOf) {
+      types = [];
+      for (index = 0; index < value.alternatives.length; index += 1) {
+        type = value.alternatives[index] === null ? 'null' : toTypeScriptType(
+            value.alternatives[index], stack, declared, indent, isSpec);
+        // function types need parentheses in unions
+        types.push(/^\(.*\) => /.test(type) ? [ '(', type, ')' ].join('')
+            : type);
+      }
+      return arrayUniq(types).join(' | ');
+    }
+    if (value instanceof Tuple) {
+      return toTypeScriptTuple(value, stack, declared, indent);
+    }
+
+    type = toType(value);
+    switch (type) {
+    case 'string':
+      return isSpec ? toTypeScriptTypeName(value) : 'string';
+    case 'number':
+    case 'boolean':
+      return type;
+    case 'date':
+      return 'Date';
+    case 'regexp':
+      return 'RegExp';
+    case 'function':
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
+      func = toTypeScriptFunction(value, stack, declared, indent);
+      return [ '(', func.params, ') => ', func.result ].join('');
+    case 'array':
+      types = [];
+      for (index = 0; index < value.length; index += 1) {
+        types.push(toTypeScriptType(value[index], stack, declared, indent));
+      }
+      return toTypeScriptArray(types);
+    case 'object':
+      if (getStack(stack, value) === undefined) {
+        // only the declared interface has a name to refer to
+        return value === stack[0] && declared ? declared : 'any';
+      }
+      stack = getStack(stack, value);
+      if (isArrayInterface(value)) {
+        return toTypeScriptType(value.Interface, stack, declared, indent);
+      }
+      return [ '{' ].concat(toTypeScriptMembers(value, stack, declared, [
+          indent, '  ' ].join('')), [ indent, '}' ].join('')).join('\n');
+    default:
+      return 'any';
+    }
+  }
+
+  /**
+   * convert a tuple to a TypeScript tuple type, e.g. [number, string?,
+   * ...boolean[]]
+   * 
+   * @param {Tuple}
+   *          tuple the tuple
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          declared the name of the declared interface, which refers to
+   *          itself
+   * @param {string}
+   *          indent the indentation of the enclosing declaration
+   * @returns {string} the tuple type
+   */
+  function toTypeScriptTuple (tuple, stack, declared, indent) {
+    var types, type, index;
+
+    types = [];
+    for (index = 0; index < tuple.elements.length; index += 1) {
+      type = toTypeScriptType(unwrapOptional(tuple.elements[index]), stack,
+          declared, indent);
+      if (index >= tuple.required) {
+        // unions and function types need parentheses
+        type = [ /^[A-Za-z0-9_$.<>\[\]]+$/.test(type) ? type : [ '(', type,
+            ')' ].join(''), '?' ].join('');
+      }
+      types.push(type);
+    }
+    if (tuple.rest !== undefined) {
+      types.push([ '...', toTypeScriptArray([ toTypeScriptType(tuple.rest,
+          stack, declared, indent) ]) ].join(''));
+    }
+
+    return [ '[', types.join(', '), ']' ].join('');
+  }
+
+  /**
+   * convert the members of an interface to TypeScript declarations. The
+   * members of named Extends are omitted, since they're inherited.
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {string}
+   *          declared the name of the declared interface, which refers to
+   *          itself
+   * @param {string}
+   *          indent the indentation of the members
+   * @returns {array} an array of lines
+   */
+  function toTypeScriptMembers (intf, stack, declared, indent) {
+    var keys, key, index, sub, desc, value, name, func, lines;
+
+    keys = getOwnKeys(intf.Interface || {});
+    if (toType(intf.Extends) === 'array') {
+      for (index = 0; index < intf.Extends.length; index += 1) {
+        sub = resolveInterface(intf.Extends[index]);
+        if (sub !== undefined && getDefinedName(intf.Extends[index]) === undefined) {
+          keys = arrayUniq(keys.concat(getInterfaceKeys(sub)));
+        }
+      }
+    }
+
+    lines = [];
+
+    for (index = 0; index < keys.length; index += 1) {
+      key = keys[index];
+      name = toTypeScriptKey(key);
+      if (name === undefined) {
+        lines.push([ indent, '// unsupported key: ', String(key) ].join(''));
+        continue;
+      }
+      desc = getInterfaceDescriptor(intf, key) || {};
+      if (desc.value instanceof Optional) {
+        name = [ name, '?' ].join('');
+      }
+      value = unwrapOptional(desc.value);
+
+      if (isAccessor(desc)) {
+        lines.push([ indent, desc.set === undefined ? 'readonly ' : '', name,
+            ': any;' ].join(''));
+      } else if (isFunctionType(toType(value))) {
+        func = toTypeScriptFunction(value, stack, declared, indent);
+        lines.push([ indent, name, '(', func.params, '): ', func.result, ';' ]
+            .join(''));
+      } else {
+        lines.push([ indent, name, ': ', toTypeScriptType(value, stack,
+            declared, indent), ';' ].join(''));
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * convert a constant to a TypeScript type
+   * 
+   * @param {any}
+   *          value the constant
+   * @returns {string} the TypeScript type
+   */
+  function toTypeScriptConstant (value) {
+    var key, types, members;
+
+    switch (toType(value)) {
+    case 'object':
+      members = [];
+      for (key in value) {
+        members.push([ toTypeScriptKey(key), ': ',
+            toTypeScriptConstant(value[key]) ].join(''));
+      }
+      return [ '{ ', members.join('; '), ' }' ].join('');
+    case 'array':
+      types = [];
+      for (key = 0; key < value.length; key += 1) {
+        types.push(toTypeScriptConstant(value[key]));
+      }
+      return toTypeScriptArray(types);
+    default:
+      return toTypeScriptType(value, [], undefined, '');
+    }
+  }
+
+  /**
+   * generate TypeScript declarations for an interface
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {string}
+   *          name (optional) the name of the declared interface. Defaults to
+   *          the registered name
+   * @returns {string} the declarations
+   */
+  function toTypeScript (intf, name) {
+    var lines, extendsList, index, key, keys, func;
+
+    intf = resolveInterface(intf);
+    name = name || getDefinedName(intf);
+
+    if (toType(intf) !== 'object') {
+      throw new TypeError('Implements.toTypeScript(): intf is no interface');
+    }
+    if (!name) {
+      throw new TypeError('Implements.toTypeScript(): no name given');
+    }
+    name = toTypeScriptIdentifier(name);
+
+    lines = [];
+
+    if (isArrayInterface(intf)) {
+      lines.push([ 'export type ', name, ' = ',
+          toTypeScriptType(intf.Interface, [ intf ], name, ''), ';' ]
+          .join(''));
+    } else {
+      extendsList = [];
+      if (toType(intf.Extends) === 'array') {
+        for (index = 0; index < intf.Extends.length; index += 1) {
+          if (getDefinedName(intf.Extends[index]) !== undefined) {
+            extendsList.push(toTypeScriptIdentifier(getDefinedName(
+                intf.Extends[index])));
+          }
+        }
+      }
+
+      lines.push([ 'export interface ', name,
+          extendsList.length ? [ ' extends ', extendsList.join(', ') ].join('')
+              : '', ' {' ].join(''));
+      lines = lines.concat(toTypeScriptMembers(intf, [ intf ], name, '  '));
+      lines.push('}');
+    }
+
+    // global functions and constants
+    keys = Object.keys(intf);
+    for (index = 0; index < keys.length; index += 1) {
+      key = keys[index];
+      if (key === 'Interface' || key === 'Extends' || key === 'Requires') {
+        continue;
+      }
+      if (validateConstantName(key)) {
+        lines.push([ 'export declare const ', key, ': ',
+            toTypeScriptConstant(intf[key]), ';' ].join(''));
+      } else if (isFunctionType(toType(intf[key]))) {
+        func = toTypeScriptFunction(intf[key], [ intf ], name, '');
+        lines.push([ 'export declare function ', key, '(', func.params, '): ',
+            func.result, ';' ].join(''));
+      }
+    }
+
+    return [ lines.join('\n'), '\n' ].join('');
+  }
+
+  /**
+   * collect the interfaces which contain themselves, so they can be referred
+   * to by the JSON Schema of toJSONSchema()
+   * 
+   * @param {any}
+   *          value an interface, a Reference, an array or any other member
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @param {array}
+   *          recursive (output) an array of recursive interfaces
+   */
+  function collectRecursive (value, stack, recursive) {
+    var keys, index, desc;
+
+    if (value instanceof Reference) {
+      value = resolveInterface(value);
+    }
+    if (value instanceof OneOf) {
+      value = value.alternatives;
+    }
+    if (value instanceof Tuple) {
+      value = getTupleMembers(value);
+    }
+
+    switch (toType(value)) {
+    case 'array':
+      for (index = 0; index < value.length; index += 1) {
+        collectRecursive(value[index], stack, recursive);
+      }
+      break;
+    case 'object':
+      if (getStack(stack, value) === undefined) {
+        if (recursive.indexOf(value) === -1) {
+          recursive.push(value);
+        }
+        break;
+      }
+      stack = getStack(stack, value);
+
+      if (isArrayInterface(value)) {
+        collectRecursive(value.Interface, stack, recursive);
+      } else if (toType(value.Interface) === 'object') {
+        keys = getOwnKeys(value.Interface);
+        for (index = 0; index < keys.length; index += 1) {
+          desc = Object.getOwnPropertyDescriptor(value.Interface, keys[index]);
+          if (!isAccessor(desc)) {
+            collectRecursive(unwrapOptional(desc.value), stack, recursive);
+          }
+        }
+      }
+      if (toType(value.Extends) === 'array') {
+        for (index = 0; index < value.Extends.length; index += 1) {
+          collectRecursive(resolveInterface(value.Extends[index]), stack,
+              recursive);
+        }
+      }
+      break;
+    }
+  }
+
+  /**
+   * create a JSON Schema reference to an interface in $defs, and add its
+   * definition unless present
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {object}
+   *          ctx the state of toJSONSchema()
+   * @returns {object} the reference schema
+   */
+  function toJSONSchemaRef (intf, ctx) {
+    var index, name, count;
+
+    index = ctx.defIntfs.indexOf(intf);
+    if (index === -1) {
+      name = getDefinedName(intf);
+      if (name === undefined) {
+        count = 0;
+        do {
+          count += 1;
+          name = [ 'Interface', count ].join('');
+        } while (ctx.defNames.indexOf(name) !== -1);
+      }
+      ctx.defIntfs.push(intf);
+      ctx.defNames.push(name);
+      // reserve the key before recursing
+      ctx.defs[name] = {};
+      ctx.defs[name] = toJSONSchemaInterface(intf, ctx);
+    } else {
+      name = ctx.defNames[index];
+    }
+
+    return {
+      $ref : [ '#/$defs/',
+          encodeURIComponent(name.replace(/~/g, '~0').replace(/\//g, '~1')) ]
+          .join('')
+    };
+  }
+
+  /**
+   * get both cases of a character for case-insensitive patterns
+   * 
+   * @param {string}
+   *          c the character
+   * @returns {string} the other case, '' for characters without one
+   * @throws {TypeError}
+   *           if the other case has more than one character
+   */
+  function getOtherCase (c) {
+    var other;
+
+    other = c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase();
+    if (other === c) {
+      return '';
+    }
+    if (other.length !== 1) {
+      throw new TypeError([ 'Implements.toJSONSchema(): no case-insensitive ',
+          'pattern for ', c ].join(''));
+    }
+
+    return other;
+  }
+
+  /**
+   * get the other case of a character range for case-insensitive patterns
+   * 
+   * @param {string}
+   *          lo the first character
+   * @param {string}
+   *          hi the last character. undefined for escaped characters
+   * @param {RegExp}
+   *          regexp the regexp for error messages
+   * @returns {string} the range of the other case, e.g. 'A-Z' for 'a-z'. ''
+   *          for ranges without letters
+   * @throws {TypeError}
+   *           for ranges which mix letters and other characters
+   */
+  function getOtherRange (lo, hi, regexp) {
+    var code, loOther, hiOther;
+
+    if (hi !== undefined) {
+      loOther = getOtherCase(lo);
+      hiOther = getOtherCase(hi);
+      if (loOther !== '' && hiOther !== '' && hiOther.charCodeAt(0)
+          - loOther.charCodeAt(0) === hi.charCodeAt(0) - lo.charCodeAt(0)) {
+        return [ loOther, '-', hiOther ].join('');
+      }
+      code = lo.charCodeAt(0);
+      while (code <= hi.charCodeAt(0)
+          && getOtherCase(String.fromCharCode(code)) === '') {
+        code += 1;
+      }
+      if (code > hi.charCodeAt(0)) {
+        return '';
+      }
+    }
+
+    throw new TypeError([ 'Implements.toJSONSchema(): no case-insensitive ',
+        'pattern for the range ', lo, '-', hi === undefined ? '\\' : hi,
+        ' in ', String(regexp) ].join(''));
+  }
+
+  /**
+   * convert the source of a regexp to a JSON Schema pattern, which has no
+   * flags. 'i' expands letters to both cases, 's' replaces '.' and 'm'
+   * replaces '^' and '$' with lookarounds. 'y' anchors the pattern. 'g' and
+   * 'd' don't affect matching
+   * 
+   * @param {RegExp}
+   *          regexp the regexp
+   * @returns {string} the pattern
+   * @throws {TypeError}
+   *           for flags and escapes which can't be expressed without flags
+   */
+  function toJSONSchemaPattern (regexp) {
+    var flags, source, out, index, c, inClass, end;
+
+    flags = regexp.flags.replace(/[gdu]/g, '');
+    if (/[^imsy]/.test(flags)) {
+      throw new TypeError([ 'Implements.toJSONSchema(): unsupported flags ',
+          'of pattern ', String(regexp) ].join(''));
+    }
+
+    source = regexp.source;
+    out = [];
+    inClass = false;
+    index = 0;
+    while (index < source.length) {
+      c = source[index];
+      if (c === '\\') {
+        if (flags.indexOf('i') !== -1 && /[1-9kxuc]/.test(source[index + 1])) {
+          // escaped characters and backreferences would need case folding
+          throw new TypeError([ 'Implements.toJSONSchema(): no ',
+              'case-insensitive pattern for \\', source[index + 1], ' in ',
+              String(regexp) ].join(''));
+        }
+        out.push(source.slice(index, index + 2));
+        index += 2;
+        continue;
+      }
+      if (inClass) {
+        if (c === ']') {
+          inClass = false;
+          out.push(c);
+        } else if (source[index + 1] === '-' && source[index + 2] !== ']'
+            && index + 2 < source.length) {
+          if (source[index + 2] === '\\') {
+            // a range up to an escaped character
+            out.push(flags.indexOf('i') !== -1 ? getOtherRange(c, undefined,
+                regexp) : c);
+            index += 1;
+            continue;
+          }
+          out.push(c, '-', source[index + 2],
+              flags.indexOf('i') !== -1 ? getOtherRange(c, source[index + 2],
+                  regexp) : '');
+          index += 3;
+          continue;
+        } else {
+          out.push(c, flags.indexOf('i') !== -1 ? getOtherCase(c) : '');
+        }
+        index += 1;
+        continue;
+      }
+
+      switch (c) {
+      case '[':
+        inClass = true;
+        out.push(c);
+        if (source[index + 1] === '^') {
+          out.push('^');
+          index += 1;
+        }
+        break;
+      case '(':
+        // keep group names and lookarounds
+        end = /^\(\?(<[^=!][^>]*>|<[=!]|[:=!])?/.exec(source.slice(index))[0];
+        out.push(end);
+        index += end.length - 1;
+        break;
+      case '.':
+        out.push(flags.indexOf('s') !== -1 ? '[\\s\\S]' : c);
+        break;
+      case '^':
+        out.push(flags.indexOf('m') !== -1
+            ? '(?:^|(?<=[\\n\\r\\u2028\\u2029]))' : c);
+        break;
+      case '$':
+        out.push(flags.indexOf('m') !== -1
+            ? '(?:$|(?=[\\n\\r\\u2028\\u2029]))' : c);
+        break;
+      default:
+        if (flags.indexOf('i') !== -1 && getOtherCase(c) !== '') {
+          out.push('[', c, getOtherCase(c), ']');
+        } else {
+          out.push(c);
+        }
+      }
+      index += 1;
+    }
+
+    if (flags.indexOf('y') !== -1) {
+      return [ '^(?:', out.join(''), ')' ].join('');
+    }
+    return out.join('');
+  }
+
+  /**
+   * convert an interface member or a sub-interface to a JSON Schema
+   * 
+   * @param {any}
+   *          value the member
+   * @param {object}
+   *          ctx the state of toJSONSchema()
+   * @returns {object} the schema. undefined for functions
+   */
+  function toJSONSchemaType (value, ctx) {
+    var schema;
+
+    if (value instanceof CustomType) {
+      // any value, unless the type has a schema
+      return value.name in customTypes && customTypes[value.name].jsonSchema
+          ? JSON.parse(JSON.stringify(customTypes[value.name].jsonSchema)) : {};
+    }
+    if (value instanceof Pattern) {
+      return {
+        type : 'string',
+        pattern : toJSONSchemaPattern(value.regexp)
+      };
+    }
+    if (value instanceof Literal) {
+      if (typeof value.value === 'number' && !isFinite(value.value)) {
+        throw new TypeError([ 'Implements.toJSONSchema(): literal ',
+            String(value.value), ' is no JSON value' ].join(''));
+      }
+      return {
+        'const' : value.value
+      };
+    }
+    if (value instanceof OneOf) {
+      // the same as array alternatives, but possibly without any schemas
+      schema = toJSONSchemaItems(value.alternatives, ctx);
+      return schema.anyOf && schema.anyOf.length === 0 ? undefined : schema;
+    }
+    if (value instanceof Tuple) {
+      return toJSONSchemaTuple(value, ctx);
+    }
+    if (value instanceof Reference) {
+      if (resolveInterface(value) === undefined) {
+        throw new TypeError([ 'Implements.toJSONSchema(): ',
+            'unresolved interface name: ', value.name ].join(''));
+      }
+      value = resolveInterface(value);
+    }
+
+    switch (toType(value)) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+    case 'null':
+      // null is only valid as an alternative of a OneOf
+      return {
+        type : toType(value)
+      };
+    case 'date':
+      return {
+        type : 'string',
+        format : 'date-time'
+      };
+    case 'regexp':
+      return {
+        type : 'string',
+        format : 'regex'
+      };
+    case 'array':
+      return {
+        type : 'array',
+        items : toJSONSchemaItems(value, ctx)
+      };
+    case 'object':
+      if (value === ctx.root) {
+        return {
+          $ref : '#'
+        };
+      }
+      if (getDefinedName(value) !== undefined
+          || ctx.recursive.indexOf(value) !== -1) {
+        return toJSONSchemaRef(value, ctx);
+      }
+      return toJSONSchemaInterface(value, ctx);
+    default:
+      // functions and the like aren't data
+      return undefined;
+    }
+  }
+
+  /**
+   * convert the alternatives of an array to an item schema
+   * 
+   * @param {array}
+   *          array the alternatives
+   * @param {object}
+   *          ctx the state of toJSONSchema()
+   * @returns {object} the item schema
+   */
+  function toJSONSchemaItems (array, ctx) {
+    var schemas, strings, index, schema;
+
+    array = expandAlternatives(array);
+    schemas = [];
+    strings = [];
+
+    for (index = 0; index < array.length; index += 1) {
+      schema = toJSONSchemaType(array[index], ctx);
+      if (schema !== undefined && strings.indexOf(JSON.stringify(schema)) === -1) {
+        strings.push(JSON.stringify(schema));
+        schemas.push(schema);
+      }
+    }
+
+    if (schemas.length === 1) {
+      return schemas[0];
+    }
+
+    return {
+      anyOf : schemas
+    };
+  }
+
+  /**
+   * convert a tuple to an array schema with prefixItems. Elements which
+   * aren't data can be anything, so the positions are kept
+   * 
+   * @param {Tuple}
+   *          tuple the tuple
+   * @param {object}
+   *          ctx the state of toJSONSchema()
+   * @returns {object} the schema
+   */
+  function toJSONSchemaTuple (tuple, ctx) {
+    var schema;
+
+    schema = {
+      type : 'array',
+      prefixItems : tuple.elements.map(function (element) {
+        return toJSONSchemaType(unwrapOptional(element), ctx) || {};
+      })
+    };
+    if (tuple.required !== 0) {
+      schema.minItems = tuple.required;
+    }
+    schema.items = tuple.rest === undefined ? false : toJSONSchemaType(
+        tuple.rest, ctx) || {};
+
+    return schema;
+  }
+
+  /**
+   * convert an interface to a JSON Schema
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {object}
+   *          ctx the state of toJSONSchema()
+   * @returns {object} the schema
+   */
+  function toJSONSchemaInterface (intf, ctx) {
+    var schema, keys, index, desc, sub, property;
+
+    schema = {};
+
+    if (toType(intf.Extends) === 'array' && intf.Extends.length !== 0) {
+      schema.allOf = [];
+      for (index = 0; index < intf.Extends.length; index += 1) {
+        sub = resolveInterface(intf.Extends[index]);
+        if (sub === undefined) {
+          throw new TypeError([ 'Implements.toJSONSchema(): ',
+              'unresolved interface name: ',
+              getReferenceName(intf.Extends[index]) ].join(''));
+        }
+        schema.allOf.push(toJSONSchemaType(sub, ctx));
+      }
+    }
+
+    if (toType(intf.Interface) === 'array') {
+      schema.type = 'array';
+      schema.items = toJSONSchemaItems(intf.Interface, ctx);
+      return schema;
+    }
+    if (intf.Interface instanceof Tuple) {
+      sub = toJSONSchemaTuple(intf.Interface, ctx);
+      for (property in sub) {
+        schema[property] = sub[property];
+      }
+      return schema;
+    }
+
+    schema.type = 'object';
+    schema.properties = {};
+    schema.required = [];
+
+    keys = getOwnKeys(intf.Interface || {});
+    for (index = 0; index < keys.length; index += 1) {
+      if (typeof keys[index] !== 'string') {
+        // symbols aren't data
+        continue;
+      }
+      desc = Object.getOwnPropertyDescriptor(intf.Interface, keys[index]);
+      if (isAccessor(desc)) {
+        // the type of a computed member is unknown
+        property = desc.set === undefined ? {
+          readOnly : true
+        } : {};
+      } else {
+        property = toJSONSchemaType(unwrapOptional(desc.value), ctx);
+      }
+
+      if (property !== undefined) {
+        schema.properties[keys[index]] = property;
+        if (!(desc.value instanceof Optional)) {
+          schema.required.push(keys[index]);
+        }
+      }
+    }
+
+    if (schema.required.length === 0) {
+      delete schema.required;
+    }
+
+    return schema;
+  }
+
+  /**
+   * export the data members of an interface as a JSON Schema (draft 2020-12)
+   * 
+   * @param {Interface}
+   *          intf the interface or its registered name
+   * @returns {object} the schema
+   */
+  function toJSONSchema (intf) {
+    var ctx, schema, key, retval;
+
+    intf = resolveInterface(intf);
+    if (toType(intf) !== 'object') {
+      throw new TypeError('Implements.toJSONSchema(): intf is no interface');
+    }
+
+    ctx = {
+      root : intf,
+      recursive : [],
+      defIntfs : [],
+      defNames : [],
+      defs : {}
+    };
+    collectRecursive(intf, [], ctx.recursive);
+
+    schema = toJSONSchemaInterface(intf, ctx);
+
+    retval = {
+      $schema : 'https://json-schema.org/draft/2020-12/schema'
+    };
+    for (key in schema) {
+      retval[key] = schema[key];
+    }
+    if (ctx.defNames.length !== 0) {
+      retval.$defs = ctx.defs;
+    }
+
+    return retval;
+  }
+
+  /**
+   * convert a local JSON Schema reference to an interface member. Object
+   * schemas are converted only once, which allows for recursion
+   * 
+   * @param {string}
+   *          ref the $ref, either '#' or '#/$defs/name'
+   * @param {object}
+   *          ctx the state of fromJSONSchema()
+   * @param {string}
+   *          path the path of the reference
+   * @returns {any} the interface member. undefined on error
+   */
+  function fromJSONSchemaRef (ref, ctx, path) {
+    var match, name, schema;
+
+    if (ref === '#') {
+      return ctx.root;
+    }
+
+    match = /^#\/\$defs\/([^\/]+)$/.exec(ref);
+    if (match) {
+      name = decodeURIComponent(match[1]).replace(/~1/g, '/').replace(/~0/g,
+          '~');
+    }
+    if (!match || !ctx.schema.$defs
+        || !Object.prototype.hasOwnProperty.call(ctx.schema.$defs, name)) {
+      ctx.err.push(createError('unsupported-reference', undefined, [
+          'unsupported or unresolvable reference: ', ref ].join(''), {
+        path : path,
+        actual : ref
+      }));
+      return undefined;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(ctx.defs, name)) {
+      return ctx.defs[name];
+    }
+
+    schema = ctx.schema.$defs[name];
+    if (isJSONSchemaObject(schema)) {
+      // register the interface first, so it can refer to itself
+      ctx.defs[name] = {};
+      fromJSONSchemaType(schema, ctx, joinPath('$defs', name), ctx.defs[name]);
+      return ctx.defs[name];
+    }
+
+    if (ctx.pending.indexOf(name) !== -1) {
+      ctx.err.push(createError('unsupported-reference', undefined, [
+          'recursive reference to a non-object schema: ', ref ].join(''), {
+        path : path,
+        actual : ref
+      }));
+      return undefined;
+    }
+
+    ctx.pending.push(name);
+    ctx.defs[name] = fromJSONSchemaType(schema, ctx, joinPath('$defs', name));
+    ctx.pending.pop();
+
+    return ctx.defs[name];
+  }
+
+  /**
+   * test whether a JSON Schema describes an object
+   * 
+   * @param {object}
+   *          schema the schema
+   * @returns {boolean} true if schema describes an object
+   */
+  function isJSONSchemaObject (schema) {
+    return toType(schema) === 'object' && schema.$ref === undefined
+        && (schema.type === 'object' || schema.type === undefined
+            && (schema.properties !== undefined || schema.allOf !== undefined));
+  }
+
+  /**
+   * convert the items of an array schema to interface alternatives
+   * 
+   * @param {object}
+   *          schema the item schema
+   * @param {object}
+   *          ctx the state of fromJSONSchema()
+   * @param {string}
+   *          path the path of the item schema
+   * @returns {array} the alternatives. undefined on error
+   */
+  function fromJSONSchemaItems (schema, ctx, path) {
+    var alternatives, index, value;
+
+    if (toType(schema) === 'object' && toType(schema.anyOf) === 'array'
+        && Object.keys(schema).length === 1) {
+      alternatives = [];
+      for (index = 0; index < schema.anyOf.length; index += 1) {
+        value = fromJSONSchemaType(schema.anyOf[index], ctx, joinPath(joinPath(
+            path, 'anyOf'), index));
+        if (value !== undefined) {
+          alternatives.push(value);
+        }
+      }
+      return alternatives.length ? alternatives : undefined;
+    }
+
+    value = fromJSONSchemaType(schema, ctx, path);
+    return value === undefined ? undefined : [ value ];
+  }
+
+  /**
+   * convert an array schema with prefixItems to a Tuple member. Elements
+   * beyond minItems are optional, and items becomes the rest element
+   * 
+   * @param {object}
+   *          schema the array schema
+   * @param {object}
+   *          ctx the state of fromJSONSchema()
+   * @param {string}
+   *          path the path of the schema
+   * @returns {Tuple} the member, or undefined on errors
+   */
+  function fromJSONSchemaTuple (schema, ctx, path) {
+    var elements, index, value, valid;
+
+    if (toType(schema.prefixItems) !== 'array') {
+      ctx.err.push(createError('invalid-schema', undefined,
+          'prefixItems is no array', {
+            path : joinPath(path, 'prefixItems'),
+            expected : 'array',
+            actual : toType(schema.prefixItems)
+          }));
+      return undefined;
+    }
+    if (schema.items === undefined) {
+      // any further elements
+      ctx.err.push(createError('unsupported-type', undefined,
+          'tuples need items: false or an items schema', {
+            path : path
+          }));
+      return undefined;
+    }
+
+    elements = [];
+    valid = true;
+    for (index = 0; index < schema.prefixItems.length; index += 1) {
+      value = fromJSONSchemaType(schema.prefixItems[index], ctx, joinPath(
+          joinPath(path, 'prefixItems'), index));
+      if (value === undefined) {
+        valid = false;
+      }
+      elements.push(index < (schema.minItems || 0) ? value : new Optional(
+          value));
+    }
+
+    if (schema.items !== false) {
+      value = fromJSONSchemaType(schema.items, ctx, joinPath(path, 'items'));
+      if (value === undefined) {
+        valid = false;
+      }
+      elements.push(new Rest(value));
+    }
+
+    return valid ? tuple.apply(null, elements) : undefined;
+  }
+
+  /**
+   * convert the pattern keyword of a string schema to a Pattern member
+   * 
+   * @param {string}
+   *          source the regular expression
+   * @param {object}
+   *          ctx the state of fromJSONSchema()
+   * @param {string}
+   *          path the path of the pattern keyword
+   * @returns {Pattern} the member, or undefined on errors
+   */
+  function fromJSONSchemaPattern (source, ctx, path) {
+    try {
+      return new Pattern(new RegExp(source, 'u'));
+    } catch (e) {
+      ctx.err.push(createError('invalid-schema', undefined, [
+          'invalid pattern: ', String(source) ].join(''), {
+        path : path,
+        actual : source
+      }));
+      return undefined;
+    }
+  }
+
+  /**
+   * convert the alternatives of an anyOf schema to a OneOf member.
+   * {type: 'null'} becomes null
+   * 
+   * @param {array}
+   *          schemas the alternatives
+   * @param {object}
+   *          ctx the state of fromJSONSchema()
+   * @param {string}
+   *          path the path of the anyOf keyword
+   * @returns {OneOf} the member, or undefined on errors
+   */
+  function fromJSONSchemaAnyOf (schemas, ctx, path) {
+    var alternatives, index, value, valid;
+
+    alternatives = [];
+    valid = true;
+
+    for (index = 0; index < schemas.length; index += 1) {
+      if (toType(schemas[index]) === 'object'
+          && schemas[index].type === 'null') {
+        alternatives.push(null);
+        continue;
+      }
+      value = fromJSONSchemaType(schemas[index], ctx, joinPath(path, index));
+      if (value === undefined) {
+        valid = false;
+      }
+      alternatives.push(value);
+    }
+
+    return valid ? oneOf.apply(null, alternatives) : undefined;
+  }
+
+  /**
+   * convert a JSON Schema to an interface member
+   * 
+   * @param {object}
+   *          schema the schema
+   * @param {object}
+   *          ctx the state of fromJSONSchema()
+   * @param {string}
+   *          path the path of the schema
+   * @param {Interface}
+   *          intf (optional) the interface to fill if schema describes an
+   *          object
+   * @returns {any} the interface member. undefined on error
+   */
+  function fromJSONSchemaType (schema, ctx, path, intf) {
+    var keys, key, index, required, value, sub, properties;
+
+    if (toType(schema) !== 'object') {
+      ctx.err.push(createError('invalid-schema', undefined, [
+          'schema is no object, but ', toType(schema) ].join(''), {
+        path : path,
+        expected : 'object',
+        actual : toType(schema)
+      }));
+      return undefined;
+    }
+
+    keys = Object.keys(schema);
+    for (index = 0; index < keys.length; index += 1) {
+      key = keys[index];
+      switch (key) {
+      case '$schema':
+      case '$id':
+      case '$comment':
+      case '$defs':
+      case 'title':
+      case 'description':
+      case 'default':
+      case 'examples':
+      case 'deprecated':
+      case 'readOnly':
+      case 'writeOnly':
+      case 'format':
+      case 'pattern':
+      case 'type':
+      case 'properties':
+      case 'required':
+      case 'allOf':
+      case 'items':
+      case 'prefixItems':
+      case '$ref':
+        // annotations and supported keywords
+        break;
+      case 'const':
+        if (isLiteralType(toType(schema['const']))) {
+          break;
+        }
+        ctx.err.push(createError('unsupported-keyword', undefined,
+            'const needs a number, string or boolean', {
+              path : joinPath(path, key)
+            }));
+        break;
+      case 'minItems':
+        // only the required elements of tuples
+        if (toType(schema.prefixItems) === 'array'
+            && schema.minItems <= schema.prefixItems.length) {
+          break;
+        }
+        ctx.err.push(createError('unsupported-keyword', undefined,
+            'unsupported keyword: minItems', {
+              path : joinPath(path, key)
+            }));
+        break;
+      case 'anyOf':
+        if (toType(schema.anyOf) === 'array' && schema.anyOf.length !== 0) {
+          break;
+        }
+        ctx.err.push(createError('invalid-schema', undefined,
+            'anyOf needs at least one schema', {
+              path : joinPath(path, key)
+            }));
+        break;
+      case 'additionalProperties':
+        if (schema.additionalProperties === true) {
+          break;
+        }
+        ctx.err.push(createError('unsupported-keyword', undefined,
+            'unsupported keyword: additionalProperties', {
+              path : joinPath(path, key)
+            }));
+        break;
+      default:
+        ctx.err.push(createError('unsupported-keyword', undefined, [
+            'unsupported keyword: ', key ].join(''), {
+          path : joinPath(path, key)
+        }));
+      }
+    }
+
+    if (schema.$ref !== undefined) {
+      return fromJSONSchemaRef(schema.$ref, ctx, joinPath(path, '$ref'));
+    }
+    if (isLiteralType(toType(schema['const']))) {
+      return new Literal(schema['const']);
+    }
+    if (toType(schema.anyOf) === 'array' && schema.anyOf.length === 1) {
+      return fromJSONSchemaType(schema.anyOf[0], ctx, joinPath(joinPath(path,
+          'anyOf'), 0), intf);
+    }
+    if (toType(schema.anyOf) === 'array' && schema.anyOf.length > 1) {
+      return fromJSONSchemaAnyOf(schema.anyOf, ctx, joinPath(path, 'anyOf'));
+    }
+
+    if (isJSONSchemaObject(schema)) {
+      intf = intf || {};
+      intf.Interface = {};
+
+      required = toType(schema.required) === 'array' ? schema.required : [];
+      properties = toType(schema.properties) === 'object' ? Object.keys(
+          schema.properties) : [];
+      for (index = 0; index < properties.length; index += 1) {
+        key = properties[index];
+        value = fromJSONSchemaType(schema.properties[key], ctx, joinPath(
+            joinPath(path, 'properties'), key));
+        if (value !== undefined) {
+          // defined, since an assignment to "__proto__" would set the prototype
+          Object.defineProperty(intf.Interface, key, {
+            value : required.indexOf(key) === -1 ? new Optional(value) : value,
+            enumerable : true,
+            writable : true,
+            configurable : true
+          });
+        }
+      }
+      for (index = 0; index < required.length; index += 1) {
+        if (properties.indexOf(required[index]) === -1) {
+          ctx.err.push(createError('unsupported-keyword', undefined, [
+              'required property without schema: ', String(required[index]) ]
+              .join(''), {
+            path : joinPath(joinPath(path, 'required'), index)
+          }));
+        }
+      }
+
+      if (toType(schema.allOf) === 'array') {
+        intf.Extends = [];
+        for (index = 0; index < schema.allOf.length; index += 1) {
+          sub = fromJSONSchemaType(schema.allOf[index], ctx, joinPath(joinPath(
+              path, 'allOf'), index));
+          if (toType(sub) === 'object' && toType(sub.Interface) === 'object') {
+            intf.Extends.push(sub);
+          } else if (sub !== undefined) {
+            ctx.err.push(createError('unsupported-type', undefined,
+                'allOf can only contain object schemas', {
+                  path : joinPath(joinPath(path, 'allOf'), index)
+                }));
+          }
+        }
+      }
+
+      return intf;
+    }
+
+    switch (schema.type) {
+    case 'string':
+      if (schema.pattern !== undefined) {
+        return fromJSONSchemaPattern(schema.pattern, ctx, joinPath(path,
+            'pattern'));
+      }
+      switch (schema.format) {
+      case 'date-time':
+        return new Date(0);
+      case 'regex':
+        return new RegExp('');
+      default:
+        return '';
+      }
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    case 'array':
+      if (schema.prefixItems !== undefined) {
+        return fromJSONSchemaTuple(schema, ctx, path);
+      }
+      if (schema.items === undefined) {
+        ctx.err.push(createError('unsupported-type', undefined,
+            'arrays need an items schema', {
+              path : path
+            }));
+        return undefined;
+      }
+      return fromJSONSchemaItems(schema.items, ctx, joinPath(path, 'items'));
+    default:
+      ctx.err.push(createError('unsupported-type', undefined,
+          schema.type === undefined ? 'missing type' : [ 'unsupported type: ',
+              JSON.stringify(schema.type) ].join(''), {
+        path : joinPath(path, 'type'),
+        actual : JSON.stringify(schema.type)
+      }));
+      return undefined;
+    }
+  }
+
+  /**
+   * convert a JSON Schema (draft 2020-12) to an interface
+   * 
+   * @param {object}
+   *          schema a schema which describes an object or an array
+   * @returns {Interface} a valid interface
+   * @throws {ImplementsError}
+   *           for unsupported schemas
+   */
+  function fromJSONSchema (schema) {
+    var ctx, value;
+
+    ctx = {
+      schema : schema,
+      root : {},
+      defs : {},
+      pending : [],
+      err : []
+    };
+
+    if (isJSONSchemaObject(schema)) {
+      fromJSONSchemaType(schema, ctx, '', ctx.root);
+    } else if (toType(schema) === 'object' && schema.type === 'array') {
+      value = fromJSONSchemaType(schema, ctx, '');
+      ctx.root.Interface = value || [];
+    } else {
+      ctx.err.push(createError('invalid-schema', undefined,
+          'schema describes neither object nor array', {
+            actual : toType(schema) === 'object' ? JSON.stringify(schema.type)
+                : toType(schema)
+          }));
+    }
+
+    reportErrors(ctx.err);
+
+    return ctx.root;
+  }
+
+  /**
+   * encode a member key for serialize()
+   * 
+   * @param {string,
+   *          symbol} key the key
+   * @returns {any} the key itself for strings, an object for symbols
+   */
+  function serializeKey (key) {
+    var names, index;
+
+    if (typeof key !== 'symbol') {
+      return key;
+    }
+
+    if (Symbol.keyFor(key) !== undefined) {
+      return {
+        $type : 'symbol',
+        key : Symbol.keyFor(key)
+      };
+    }
+
+    names = Object.getOwnPropertyNames(Symbol);
+    for (index = 0; index < names.length; index += 1) {
+      if (Symbol[names[index]] === key) {
+        return {
+          $type : 'symbol',
+          name : names[index]
+        };
+      }
+    }
+
+    throw new TypeError([ 'Implements.serialize(): unique symbols can\'t be ',
+        'serialized: ', String(key) ].join(''));
+  }
+
+  /**
+   * encode any member of an interface for serialize(). Objects and arrays are
+   * encoded once and referred to by their id afterwards, which preserves
+   * cycles and shared interfaces.
+   * 
+   * @param {any}
+   *          value the member
+   * @param {array}
+   *          objects (input/output) the objects and arrays encoded so far. The
+   *          index is the id
+   * @returns {any} a JSON-compatible encoding
+   */
+  function serializeValue (value, objects) {
+    var keys, index, desc, entries, arity, sig, items;
+
+    if (value instanceof Reference) {
+      return {
+        $type : 'name',
+        name : value.name
+      };
+    }
+    if (value instanceof Optional) {
+      return {
+        $type : 'optional',
+        member : serializeValue(value.member, objects)
+      };
+    }
+    if (value instanceof CustomType) {
+      return {
+        $type : 'type',
+        name : value.name
+      };
+    }
+    if (value instanceof Literal) {
+      return {
+        $type : 'literal',
+        value : serializeValue(value.value, objects)
+      };
+    }
+    if (value instanceof Pattern) {
+      return {
+        $type : 'pattern',
+        source : value.regexp.source,
+        flags : value.regexp.flags,
+        example : value.example
+      };
+    }
+    if (value instanceof Tuple) {
+      return {
+        $type : 'tuple',
+        elements : value.elements.map(function (element) {
+          return serializeValue(element, objects);
+        }),
+        rest : value.rest === undefined ? undefined : serializeValue(
+            value.rest, objects)
+      };
+    }
+    if (value instanceof OneOf) {
+      return {
+        $type : 'oneOf',
+        alternatives : value.alternatives.map(function (alternative) {
+          return serializeValue(alternative, objects);
+        })
+      };
+    }
+
+    switch (toType(value)) {
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return value;
+    case 'number':
+      return isFinite(value) ? value : {
+        $type : 'number',
+        value : String(value)
+      };
+    case 'undefined':
+      return {
+        $type : 'undefined'
+      };
+    case 'bigint':
+      // BigInt constants
+      return {
+        $type : 'bigint',
+        value : String(value)
+      };
+    case 'date':
+      return {
+        $type : 'date',
+        value : value.getTime()
+      };
+    case 'regexp':
+      return {
+        $type : 'regexp',
+        source : value.source,
+        flags : value.flags
+      };
+    case 'function':
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
+      sig = getSignature(value);
+      if (sig !== undefined) {
+        items = [];
+        for (index = 0; index < sig.params.length; index += 1) {
+          items.push(serializeValue(sig.params[index], objects));
+        }
+        return {
+          $type : 'signature',
+          params : items,
+          result : serializeValue(sig.result, objects)
+        };
+      }
+      arity = getArity(value);
+      return {
+        $type : 'function',
+        kind : toType(value),
+        required : arity.required,
+        declared : arity.declared,
+        rest : arity.rest
+      };
+    case 'array':
+    case 'object':
+      if (objects.indexOf(value) !== -1) {
+        return {
+          $type : 'ref',
+          id : objects.indexOf(value)
+        };
+      }
+      objects.push(value);
+
+      if (toType(value) === 'array') {
+        items = [];
+        for (index = 0; index < value.length; index += 1) {
+          items.push(serializeValue(value[index], objects));
+        }
+        return {
+          $type : 'array',
+          id : objects.length - 1,
+          items : items
+        };
+      }
+
+      entries = [];
+      keys = getOwnKeys(value);
+      for (index = 0; index < keys.length; index += 1) {
+        desc = Object.getOwnPropertyDescriptor(value, keys[index]);
+        entries.push([ serializeKey(keys[index]), isAccessor(desc) ? {
+          $type : 'accessor',
+          get : desc.get !== undefined,
+          set : desc.set !== undefined
+        } : serializeValue(desc.value, objects) ]);
+      }
+      return {
+        $type : 'object',
+        id : objects.indexOf(value),
+        entries : entries
+      };
+    default:
+      throw new TypeError([ 'Implements.serialize(): can\'t serialize ',
+          toType(value) ].join(''));
+    }
+  }
+
+  /**
+   * serialize an interface to JSON, including placeholders, dates, regexps,
+   * by-name references and cycles
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @returns {string} the JSON string
+   */
+  function serialize (intf) {
+    if (toType(intf) !== 'object') {
+      throw new TypeError('Implements.serialize(): intf is no object');
+    }
+
+    return JSON.stringify({
+      implements : 1,
+      root : serializeValue(intf, [])
+    });
+  }
+
+  /**
+   * create a function of the given kind and arity with the Function
+   * constructor
+   * 
+   * @param {object}
+   *          enc the kind and arity of the function. See serializeValue()
+   * @param {string}
+   *          body (optional) the function body. Default: empty
+   * @param {function}
+   *          record (optional) a function which is available to body as
+   *          record
+   * @returns {function} the function
+   */
+  function createFunction (enc, body, record) {
+    var params, index, prefix;
+
+    params = [];
+    for (index = 0; index < enc.declared; index += 1) {
+      params.push(index < enc.required ? [ 'a', index ].join('') : [ 'a', index,
+          ' = undefined' ].join(''));
+    }
+    if (enc.rest) {
+      params.push('...rest');
+    }
+
+    switch (enc.kind) {
+    case 'asyncfunction':
+      prefix = 'async function';
+      break;
+    case 'generatorfunction':
+      prefix = 'function*';
+      break;
+    case 'asyncgeneratorfunction':
+      prefix = 'async function*';
+      break;
+    default:
+      prefix = 'function';
+    }
+
+    return new Function('record', [ 'return ', prefix, ' (', params.join(', '),
+        ') {', body || '', '};' ].join(''))(record);
+  }
+
+  /**
+   * decode a member key of deserialize()
+   * 
+   * @param {any}
+   *          key the encoded key
+   * @returns {string,symbol} the key
+   */
+  function deserializeKey (key) {
+    if (typeof key === 'string') {
+      return key;
+    }
+    if (key && key.key !== undefined) {
+      return Symbol['for'](key.key);
+    }
+    if (key && typeof Symbol[key.name] === 'symbol') {
+      return Symbol[key.name];
+    }
+
+    throw new TypeError('Implements.deserialize(): invalid key');
+  }
+
+  /**
+   * decode a member of deserialize()
+   * 
+   * @param {any}
+   *          enc the encoded member. See serializeValue()
+   * @param {array}
+   *          objects (input/output) the objects and arrays decoded so far, by
+   *          id
+   * @returns {any} the member
+   */
+  function deserializeValue (enc, objects) {
+    var value, index, key, entry;
+
+    if (toType(enc) !== 'object') {
+      return enc;
+    }
+
+    switch (enc.$type) {
+    case 'number':
+      return Number(enc.value);
+    case 'undefined':
+      return undefined;
+    case 'bigint':
+      return BigInt(enc.value);
+    case 'date':
+      return new Date(enc.value === null ? NaN : enc.value);
+    case 'regexp':
+      return new RegExp(enc.source, enc.flags);
+    case 'name':
+      return ref(enc.name);
+    case 'optional':
+      return optional(deserializeValue(enc.member, objects));
+    case 'type':
+      return new CustomType(enc.name);
+    case 'pattern':
+      return pattern(new RegExp(enc.source, enc.flags), enc.example);
+    case 'literal':
+      return literal(deserializeValue(enc.value, objects));
+    case 'oneOf':
+      return oneOf.apply(null, enc.alternatives.map(function (alternative) {
+        return deserializeValue(alternative, objects);
+      }));
+    case 'tuple':
+      value = enc.elements.map(function (element) {
+        return deserializeValue(element, objects);
+      });
+      if (enc.rest !== undefined) {
+        value.push(rest(deserializeValue(enc.rest, objects)));
+      }
+      return tuple.apply(null, value);
+    case 'function':
+      return createFunction(enc);
+    case 'signature':
+      value = [];
+      for (index = 0; index < enc.params.length; index += 1) {
+        value.push(deserializeValue(enc.params[index], objects));
+      }
+      return signature(value, deserializeValue(enc.result, objects));
+    case 'ref':
+      if (!(enc.id in objects)) {
+        throw new TypeError([ 'Implements.deserialize(): unknown id ', enc.id ]
+            .join(''));
+      }
+      return objects[enc.id];
+    case 'array':
+      value = [];
+      objects[enc.id] = value;
+      for (index = 0; index < enc.items.length; index += 1) {
+        value.push(deserializeValue(enc.items[index], objects));
+      }
+      return value;
+    case 'object':
+      value = {};
+      objects[enc.id] = value;
+      for (index = 0; index < enc.entries.length; index += 1) {
+        key = deserializeKey(enc.entries[index][0]);
+        entry = enc.entries[index][1];
+        if (entry && entry.$type === 'accessor') {
+          Object.defineProperty(value, key, {
+            get : entry.get ? function () {
+            } : undefined,
+            set : entry.set ? function (arg) {
+            } : undefined,
+            enumerable : true,
+            configurable : true
+          });
+        } else {
+          value[key] = deserializeValue(entry, objects);
+        }
+      }
+      return value;
+    default:
+      throw new TypeError([ 'Implements.deserialize(): invalid type ',
+          enc.$type ].join(''));
+    }
+  }
+
+  /**
+   * restore an interface from the output of serialize()
+   * 
+   * @param {string}
+   *          json the JSON string
+   * @returns {Interface} the interface
+   */
+  function deserialize (json) {
+    var data;
+
+    data = JSON.parse(json);
+    if (!data || data.implements !== 1) {
+      throw new TypeError('Implements.deserialize(): no serialized interface');
+    }
+
+    return deserializeValue(data.root, []);
+  }
+
+  /**
+   * create a change record of diff()
+   * 
+   * @param {string}
+   *          change the kind of change, e.g. 'added' or 'retyped'
+   * @param {boolean}
+   *          implementations true if the change breaks implementations
+   * @param {boolean}
+   *          consumers true if the change breaks consumers
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          message a human-readable description
+   * @param {object}
+   *          info (optional) an object with the properties before and after
+   * @returns {object} a change record
+   */
+  function createChange (change, implementations, consumers, path, message,
+      info) {
+    var impact;
+
+    info = info || {};
+
+    if (implementations && consumers) {
+      impact = 'both';
+    } else if (implementations) {
+      impact = 'implementation';
+    } else if (consumers) {
+      impact = 'consumer';
+    } else {
+      impact = 'compatible';
+    }
+
+    return {
+      change : change,
+      impact : impact,
+      path : path,
+      message : message,
+      before : info.before,
+      after : info.after
+    };
+  }
+
+  /**
+   * test whether two constants are equal
+   * 
+   * @param {any}
+   *          a a constant
+   * @param {any}
+   *          b another constant
+   * @returns {boolean} true if equal
+   */
+  function compareConstants (a, b) {
+    var key;
+
+    if (toType(a) !== toType(b)) {
+      return false;
+    }
+
+    switch (toType(a)) {
+    case 'date':
+      return a.getTime() === b.getTime();
+    case 'regexp':
+      return String(a) === String(b);
+    case 'array':
+    case 'object':
+      if (Object.keys(a).length !== Object.keys(b).length) {
+        return false;
+      }
+      for (key in a) {
+        if (!Object.prototype.hasOwnProperty.call(b, key)
+            || !compareConstants(a[key], b[key])) {
+          return false;
+        }
+      }
+      return true;
+    default:
+      return a === b || a !== a && b !== b;
+    }
+  }
+
+  /**
+   * diff two placeholder functions
+   * 
+   * @param {function}
+   *          a the old placeholder
+   * @param {function}
+   *          b the new placeholder
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {string}
+   *          path the full path of the function
+   * @param {string}
+   *          key the member name
+   */
+  function diffFunctions (a, b, changes, path, key) {
+    var aArity, bArity, aSig, bSig;
+
+    if (toType(a) !== toType(b)) {
+      changes.push(createChange('retyped', true, true, path, [ 'retyped ',
+          String(key), ': ', toType(a), ' -> ', toType(b) ].join(''), {
+        before : toType(a),
+        after : toType(b)
+      }));
+      return;
+    }
+
+    aSig = getSignature(a) && JSON.stringify(serializeValue(a, []));
+    bSig = getSignature(b) && JSON.stringify(serializeValue(b, []));
+    if (aSig !== bSig) {
+      changes.push(createChange('signature', true, true, path, [
+          'changed signature of ', String(key) ].join('')));
+      return;
+    }
+
+    aArity = getArity(a);
+    bArity = getArity(b);
+    if (aArity.required !== bArity.required
+        || aArity.declared !== bArity.declared || aArity.rest !== bArity.rest) {
+      // implementations need to accept the new parameters, while consumers
+      // need to pass the new required ones
+      changes.push(createChange('arity', bArity.declared > aArity.declared
+          || bArity.rest && !aArity.rest, bArity.required > aArity.required
+          || aArity.rest && !bArity.rest, path, [ 'changed arity of ',
+          String(key), ': ', formatArity(aArity), ' -> ', formatArity(bArity) ]
+          .join(''), {
+        before : formatArity(aArity),
+        after : formatArity(bArity)
+      }));
+    }
+  }
+
+  /**
+   * diff the alternatives of two arrays or Interface arrays. Alternatives are
+   * compared by type, literals by value and patterns by their regexp.
+   * Sub-interfaces and nested arrays of the same type are compared in their
+   * order
+   * 
+   * @param {array}
+   *          a the old array
+   * @param {array}
+   *          b the new array
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the full path of the array
+   */
+  function diffArrays (a, b, changes, bistack, path) {
+    var aTypes, bTypes, types, type, aAlts, bAlts, index;
+
+    bistack = getBiStack(bistack, a, b);
+    if (bistack === undefined) {
+      return;
+    }
+
+    // literals and patterns are alternatives of their own, e.g. the values
+    // of enums
+    function toAlternativeType (alt) {
+      if (alt instanceof Literal) {
+        return formatLiteral(alt.value);
+      }
+      if (alt instanceof Pattern) {
+        return String(alt.regexp);
+      }
+      return toMemberType(resolveMember(alt));
+    }
+
+    a = expandAlternatives(a);
+    b = expandAlternatives(b);
+    aTypes = a.map(toAlternativeType);
+    bTypes = b.map(toAlternativeType);
+    types = arrayUniq(aTypes.concat(bTypes));
+
+    for (index = 0; index < types.length; index += 1) {
+      type = types[index];
+      aAlts = a.filter(function (alt, altIndex) {
+        return aTypes[altIndex] === type;
+      });
+      bAlts = b.filter(function (alt, altIndex) {
+        return bTypes[altIndex] === type;
+      });
+
+      if (bAlts.length === 0) {
+        // implementations may still contain elements of this type
+        changes.push(createChange('alternative-removed', true, false, path, [
+            'removed array alternative: ', type ].join(''), {
+          before : type
+        }));
+      } else if (aAlts.length === 0) {
+        // consumers may not expect elements of this type
+        changes.push(createChange('alternative-added', false, true, path, [
+            'added array alternative: ', type ].join(''), {
+          after : type
+        }));
+      } else if (type === 'object' || type === 'array') {
+        aAlts.forEach(function (alt, altIndex) {
+          if (altIndex < bAlts.length) {
+            diffValues(alt, bAlts[altIndex], changes, bistack, joinPath(path,
+                b.indexOf(bAlts[altIndex])), type);
+          }
+        });
+        if (aAlts.length > bAlts.length) {
+          changes.push(createChange('alternative-removed', true, false, path, [
+              'removed array alternative: ', type ].join(''), {
+            before : type
+          }));
+        } else if (aAlts.length < bAlts.length) {
+          changes.push(createChange('alternative-added', false, true, path, [
+              'added array alternative: ', type ].join(''), {
+            after : type
+          }));
+        }
+      }
+    }
+  }
+
+  /**
+   * diff two members of an interface, of which at least one is a Tuple.
+   * Elements are compared by position
+   * 
+   * @param {any}
+   *          a the old member
+   * @param {any}
+   *          b the new member
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function diffTuples (a, b, changes, bistack, path, key) {
+    var aType, bType, aMax, bMax, index;
+
+    if (!(a instanceof Tuple && b instanceof Tuple)) {
+      aType = a instanceof Tuple ? 'tuple' : toMemberType(resolveMember(a));
+      bType = b instanceof Tuple ? 'tuple' : toMemberType(resolveMember(b));
+      changes.push(createChange('retyped', true, true, path, [ 'retyped ',
+          String(key), ': ', aType, ' -> ', bType ].join(''), {
+        before : aType,
+        after : bType
+      }));
+      return;
+    }
+
+    bistack = getBiStack(bistack, a, b);
+    if (bistack === undefined) {
+      return;
+    }
+
+    aMax = a.rest === undefined ? a.elements.length : Infinity;
+    bMax = b.rest === undefined ? b.elements.length : Infinity;
+    if (a.required !== b.required || aMax !== bMax) {
+      // more required elements break implementations, longer tuples consumers
+      changes.push(createChange('length', b.required > a.required
+          || bMax < aMax, b.required < a.required || bMax > aMax, path, [
+          'changed tuple length of ', String(key), ': ', formatTupleLength(a),
+          ' -> ', formatTupleLength(b) ].join(''), {
+        before : formatTupleLength(a),
+        after : formatTupleLength(b)
+      }));
+    }
+
+    for (index = 0; index < a.elements.length && index < b.elements.length;
+        index += 1) {
+      diffValues(a.elements[index], b.elements[index], changes, bistack,
+          joinPath(path, index), [ '[', index, ']' ].join(''));
+    }
+    if (a.rest !== undefined && b.rest !== undefined) {
+      diffValues(a.rest, b.rest, changes, bistack, joinRestPath(path), '[...]');
+    }
+  }
+
+  /**
+   * diff two members of an interface, of which at least one is a Pattern
+   * 
+   * @param {any}
+   *          a the old member
+   * @param {any}
+   *          b the new member
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function diffPatterns (a, b, changes, path, key) {
+    var aType, bType;
+
+    aType = a instanceof Pattern ? String(a.regexp) : toMemberType(
+        resolveMember(a));
+    bType = b instanceof Pattern ? String(b.regexp) : toMemberType(
+        resolveMember(b));
+
+    if (toMemberType(resolveMember(a)) !== toMemberType(resolveMember(b))) {
+      changes.push(createChange('retyped', true, true, path, [ 'retyped ',
+          String(key), ': ', aType, ' -> ', bType ].join(''), {
+        before : aType,
+        after : bType
+      }));
+    } else if (!(a instanceof Pattern && b instanceof Pattern
+        && comparePatterns(a, b))) {
+      // new patterns break implementations, removed ones consumers
+      changes.push(createChange('pattern', b instanceof Pattern,
+          a instanceof Pattern, path, [ 'changed pattern of ', String(key),
+              ': ', aType, ' -> ', bType ].join(''), {
+            before : aType,
+            after : bType
+          }));
+    }
+  }
+
+  /**
+   * diff two members of an interface, of which at least one is a Literal
+   * 
+   * @param {any}
+   *          a the old member
+   * @param {any}
+   *          b the new member
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function diffLiterals (a, b, changes, path, key) {
+    var aType, bType;
+
+    aType = a instanceof Literal ? formatLiteral(a.value) : toMemberType(
+        resolveMember(a));
+    bType = b instanceof Literal ? formatLiteral(b.value) : toMemberType(
+        resolveMember(b));
+
+    if (toMemberType(resolveMember(a)) !== toMemberType(resolveMember(b))) {
+      changes.push(createChange('retyped', true, true, path, [ 'retyped ',
+          String(key), ': ', aType, ' -> ', bType ].join(''), {
+        before : aType,
+        after : bType
+      }));
+    } else if (!(a instanceof Literal && b instanceof Literal
+        && compareLiterals(a.value, b.value))) {
+      // new literals break implementations, removed ones consumers
+      changes.push(createChange('literal', b instanceof Literal
+          || b instanceof Pattern, a instanceof Literal
+          || a instanceof Pattern, path, [ 'changed literal of ', String(key),
+              ': ', aType, ' -> ', bType ].join(''), {
+            before : aType,
+            after : bType
+          }));
+    }
+  }
+
+  /**
+   * diff two members of an interface
+   * 
+   * @param {any}
+   *          a the old member
+   * @param {any}
+   *          b the new member
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function diffValues (a, b, changes, bistack, path, key) {
+    var aType, bType;
+
+    a = unwrapOptional(a);
+    b = unwrapOptional(b);
+    if (a instanceof OneOf || b instanceof OneOf) {
+      // alternatives change like the ones of arrays
+      diffArrays(getAlternatives(a), getAlternatives(b), changes, bistack,
+          path);
+      return;
+    }
+    if (a instanceof Literal || b instanceof Literal) {
+      diffLiterals(a, b, changes, path, key);
+      return;
+    }
+    if (a instanceof Pattern || b instanceof Pattern) {
+      diffPatterns(a, b, changes, path, key);
+      return;
+    }
+    if (a instanceof Tuple || b instanceof Tuple) {
+      diffTuples(a, b, changes, bistack, path, key);
+      return;
+    }
+    if (a instanceof CustomType || b instanceof CustomType) {
+      if (toMemberType(a) !== toMemberType(b)) {
+        changes.push(createChange('retyped', true, true, path, [ 'retyped ',
+            String(key), ': ', toMemberType(a), ' -> ', toMemberType(b) ]
+            .join(''), {
+          before : toMemberType(a),
+          after : toMemberType(b)
+        }));
+      }
+      return;
+    }
+
+    a = resolveMember(a);
+    b = resolveMember(b);
+    aType = toType(a);
+    bType = toType(b);
+
+    if (isFunctionType(aType) && isFunctionType(bType)) {
+      diffFunctions(a, b, changes, path, key);
+    } else if (aType !== bType) {
+      changes.push(createChange('retyped', true, true, path, [ 'retyped ',
+          String(key), ': ', aType, ' -> ', bType ].join(''), {
+        before : aType,
+        after : bType
+      }));
+    } else if (aType === 'object') {
+      diffInterfaces(a, b, changes, bistack, path);
+    } else if (aType === 'array') {
+      diffArrays(a, b, changes, bistack, path);
+    }
+  }
+
+  /**
+   * diff two members of an interface by their property descriptors
+   * 
+   * @param {object}
+   *          a the old descriptor
+   * @param {object}
+   *          b the new descriptor
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function diffDescriptors (a, b, changes, bistack, path, key) {
+    var aType, bType;
+
+    if (!isAccessor(a) && !isAccessor(b)) {
+      if (a.value instanceof Optional && !(b.value instanceof Optional)) {
+        changes.push(createChange('required', true, false, path, [
+            'required member: ', String(key) ].join(''), {
+          before : 'optional',
+          after : 'required'
+        }));
+      } else if (b.value instanceof Optional
+          && !(a.value instanceof Optional)) {
+        changes.push(createChange('optional', false, true, path, [
+            'optional member: ', String(key) ].join(''), {
+          before : 'required',
+          after : 'optional'
+        }));
+      }
+      diffValues(a.value, b.value, changes, bistack, path, key);
+      return;
+    }
+
+    aType = getMemberType(a);
+    bType = getMemberType(b);
+    if (aType === bType) {
+      return;
+    }
+
+    if (isAccessor(a) && isAccessor(b)) {
+      // new accessors break implementations, removed ones consumers
+      changes.push(createChange('accessor', b.get && !a.get || b.set && !a.set,
+          a.get && !b.get || a.set && !b.set, path, [ 'changed accessors of ',
+              String(key), ': ', aType, ' -> ', bType ].join(''), {
+            before : aType,
+            after : bType
+          }));
+    } else {
+      // getters satisfy data members. See compareKeys()
+      changes.push(createChange('retyped', !isAccessor(a) || !a.get, true,
+          path, [ 'retyped ', String(key), ': ', aType, ' -> ', bType ]
+              .join(''), {
+            before : aType,
+            after : bType
+          }));
+    }
+  }
+
+  /**
+   * diff the constants and global functions of two interfaces
+   * 
+   * @param {Interface}
+   *          a the old interface
+   * @param {Interface}
+   *          b the new interface
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {string}
+   *          path the path of the interfaces
+   */
+  function diffGlobals (a, b, changes, path) {
+    var keys, key, index, isConstant;
+
+    keys = arrayUniq(Object.keys(a).concat(Object.keys(b)));
+
+    for (index = 0; index < keys.length; index += 1) {
+      key = keys[index];
+      if (key === 'Interface' || key === 'Extends' || key === 'Requires') {
+        continue;
+      }
+      isConstant = validateConstantName(key);
+
+      if (!Object.prototype.hasOwnProperty.call(b, key)) {
+        changes.push(createChange(isConstant ? 'constant-removed' : 'removed',
+            false, true, joinPath(path, key), [ isConstant ? 'removed constant: '
+                : 'removed global function: ', key ].join('')));
+      } else if (!Object.prototype.hasOwnProperty.call(a, key)) {
+        changes.push(createChange(isConstant ? 'constant-added' : 'added',
+            false, false, joinPath(path, key), [ isConstant ? 'added constant: '
+                : 'added global function: ', key ].join('')));
+      } else if (isConstant && !compareConstants(a[key], b[key])) {
+        changes.push(createChange('constant-changed', false, true, joinPath(
+            path, key), [ 'changed constant: ', key ].join('')));
+      } else if (!isConstant) {
+        diffValues(a[key], b[key], changes, createBiStack(), joinPath(path,
+            key), key);
+      }
+    }
+  }
+
+  /**
+   * collect the required interfaces of an interface and of its Extends, as
+   * matchRequires() would
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {string}
+   *          path the path of the interface
+   * @param {array}
+   *          list (output) an array of {intf, name, path} records, with the
+   *          name of by-name references. Unresolved names are collected as
+   *          names
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   */
+  function getRequirements (intf, path, list, stack) {
+    var index, required, sub;
+
+    stack = getStack(stack, intf);
+    if (stack === undefined) {
+      return;
+    }
+
+    if (Array.isArray(intf.Requires)) {
+      for (index = 0; index < intf.Requires.length; index += 1) {
+        required = resolveInterface(intf.Requires[index]);
+        list.push({
+          intf : required === undefined ? intf.Requires[index] : required,
+          name : getReferenceName(intf.Requires[index]),
+          path : joinPath(joinPath(path, 'Requires'), index)
+        });
+      }
+    }
+
+    if (Array.isArray(intf.Extends)) {
+      for (index = 0; index < intf.Extends.length; index += 1) {
+        sub = resolveInterface(intf.Extends[index]);
+        if (toType(sub) === 'object') {
+          getRequirements(sub, joinPath(joinPath(path, 'Extends'), index),
+              list, stack);
+        }
+      }
+    }
+  }
+
+  /**
+   * diff the Requires of two interfaces, including the ones of their Extends.
+   * Required interfaces are compared by identity, after resolving names
+   * 
+   * @param {Interface}
+   *          a the old interface
+   * @param {Interface}
+   *          b the new interface
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {string}
+   *          path the path of the interfaces
+   */
+  function diffRequires (a, b, changes, path) {
+    var aList, bList, aValues, bValues, index;
+
+    aList = [];
+    bList = [];
+    getRequirements(a, path, aList, []);
+    getRequirements(b, path, bList, []);
+    aValues = aList.map(function (requirement) {
+      return requirement.intf;
+    });
+    bValues = bList.map(function (requirement) {
+      return requirement.intf;
+    });
+
+    for (index = 0; index < aList.length; index += 1) {
+      if (bValues.indexOf(aValues[index]) === -1
+          && aValues.indexOf(aValues[index]) === index) {
+        changes.push(createChange('requirement-removed', false, false,
+            aList[index].path, [ 'removed requirement: ',
+                aList[index].path ].join(''), {
+              before : aList[index].name
+            }));
+      }
+    }
+    for (index = 0; index < bList.length; index += 1) {
+      if (aValues.indexOf(bValues[index]) === -1
+          && bValues.indexOf(bValues[index]) === index) {
+        // every environment has to provide the new dependency
+        changes.push(createChange('requirement-added', false, true,
+            bList[index].path, [ 'added requirement: ',
+                bList[index].path ].join(''), {
+              after : bList[index].name
+            }));
+      }
+    }
+  }
+
+  /**
+   * diff two interfaces, including the members of their Extends
+   * 
+   * @param {Interface}
+   *          a the old interface
+   * @param {Interface}
+   *          b the new interface
+   * @param {array}
+   *          changes (output) an array of change records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the path of the interfaces
+   */
+  function diffInterfaces (a, b, changes, bistack, path) {
+    var aType, bType, keys, key, index;
+
+    bistack = getBiStack(bistack, a, b);
+    if (bistack === undefined) {
+      return;
+    }
+
+    diffGlobals(a, b, changes, path);
+    diffRequires(a, b, changes, path);
+
+    if (a.Interface instanceof Tuple || b.Interface instanceof Tuple) {
+      diffValues(a.Interface, b.Interface, changes, bistack, joinPath(path,
+          'Interface'), 'Interface');
+      return;
+    }
+
+    aType = toType(a.Interface);
+    bType = toType(b.Interface);
+    path = joinPath(path, 'Interface');
+
+    if (aType !== bType) {
+      changes.push(createChange('retyped', true, true, path, [
+          'retyped Interface: ', aType, ' -> ', bType ].join(''), {
+        before : aType,
+        after : bType
+      }));
+      return;
+    }
+    if (aType === 'array') {
+      diffArrays(a.Interface, b.Interface, changes, bistack, path);
+      return;
+    }
+
+    keys = arrayDiff(sortKeys(getInterfaceKeys(a)), sortKeys(getInterfaceKeys(b)));
+
+    for (index = 0; index < keys.a.length; index += 1) {
+      key = keys.a[index];
+      // consumers can't rely on optional members
+      changes.push(createChange('removed', false, !isOptionalKey(a, key),
+          joinPath(path, key), [ 'removed member: ', String(key) ].join(''), {
+        before : getMemberType(getInterfaceDescriptor(a, key))
+      }));
+    }
+    for (index = 0; index < keys.b.length; index += 1) {
+      key = keys.b[index];
+      changes.push(createChange('added', !isOptionalKey(b, key), false,
+          joinPath(path, key), [ 'added member: ', String(key) ].join(''), {
+        after : getMemberType(getInterfaceDescriptor(b, key))
+      }));
+    }
+    for (index = 0; index < keys.shared.length; index += 1) {
+      key = keys.shared[index];
+      diffDescriptors(getInterfaceDescriptor(a, key), getInterfaceDescriptor(b,
+          key), changes, bistack, joinPath(path, key), key);
+    }
+  }
+
+  /**
+   * list the changes between two versions of an interface and classify them
+   * 
+   * @param {Interface}
+   *          oldIntf the old interface or its registered name
+   * @param {Interface}
+   *          newIntf the new interface or its registered name
+   * @returns {object} an object with the change records as changes and the
+   *          suggested semver bump as bump
+   */
+  function diff (oldIntf, newIntf) {
+    var changes, bump, index;
+
+    oldIntf = resolveInterface(oldIntf);
+    newIntf = resolveInterface(newIntf);
+    if (toType(oldIntf) !== 'object' || toType(newIntf) !== 'object') {
+      throw new TypeError('Implements.diff(): invalid interface');
+    }
+
+    changes = [];
+    diffInterfaces(oldIntf, newIntf, changes, createBiStack(), '');
+
+    bump = changes.length === 0 ? 'none' : 'patch';
+    for (index = 0; index < changes.length; index += 1) {
+      if (changes[index].impact !== 'compatible') {
+        bump = 'major';
+        break;
+      }
+      if (/added$/.test(changes[index].change)) {
+        bump = 'minor';
+      }
+    }
+
+    return {
+      bump : bump,
+      changes : changes
+    };
+  }
+
+  /**
+   * match a member of one interface against the member of another, of which
+   * at least one is a Pattern. Regexps can't be compared, unless they are the
+   * same
+   * 
+   * @param {any}
+   *          member the member of the super interface
+   * @param {any}
+   *          value the member of the sub interface
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function assignPattern (member, value, err, depth, path, key) {
+    var iType, oType;
+
+    iType = toMemberType(resolveMember(member));
+    oType = toMemberType(resolveMember(value));
+
+    if (iType !== oType) {
+      err.push(createTypeMismatch(key, iType, oType, depth, path));
+    } else if (member instanceof Pattern && !(value instanceof Pattern
+        && comparePatterns(member, value))) {
+      err.push(createError('pattern-mismatch', depth, [ 'pattern mismatch of ',
+          String(key), ': ', value instanceof Pattern ? String(value.regexp)
+              : 'string', ' !~ ', String(member.regexp) ].join(''), {
+        path : path,
+        expected : String(member.regexp),
+        actual : value instanceof Pattern ? String(value.regexp) : 'string'
+      }));
+    }
+  }
+
+  /**
+   * match a member of one interface against the member of another, of which
+   * at least one is a Literal. A Literal satisfies members of its type and
+   * patterns which it matches, but only the same Literal satisfies a Literal
+   * 
+   * @param {any}
+   *          member the member of the super interface
+   * @param {any}
+   *          value the member of the sub interface
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function assignLiteral (member, value, err, depth, path, key) {
+    var iType, oType;
+
+    iType = toMemberType(resolveMember(member));
+    oType = toMemberType(resolveMember(value));
+
+    if (iType !== oType) {
+      err.push(createTypeMismatch(key, iType, oType, depth, path));
+    } else if (member instanceof Literal) {
+      if (!(value instanceof Literal)) {
+        // any value of the type
+        err.push(createError('value-mismatch', depth, [ 'value mismatch of ',
+            String(key), ': ', oType, ' != ', formatLiteral(member.value) ]
+            .join(''), {
+          path : path,
+          expected : member.value,
+          actual : oType
+        }));
+      } else if (!compareLiterals(member.value, value.value)) {
+        err.push(createValueMismatch(key, member.value, value.value, depth,
+            path));
+      }
+    } else if (member instanceof Pattern && !testPattern(member, value.value)) {
+      err.push(createPatternMismatch(key, member, value.value, depth, path));
+    }
+  }
+
+  /**
+   * match a member of one interface against the member of another, so every
+   * implementation of the latter also implements the former. See matchValue()
+   * 
+   * @param {any}
+   *          member the member of the super interface
+   * @param {any}
+   *          value the member of the sub interface
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function assignValue (member, value, opts, err, bistack, path, key) {
+    var iType, oType;
+
+    member = unwrapOptional(member);
+    value = unwrapOptional(value);
+    if (member instanceof OneOf || value instanceof OneOf) {
+      // every alternative of value needs an alternative of member
+      assignArrays(getAlternatives(member), getAlternatives(value), opts, err,
+          bistack, path);
+      return;
+    }
+    if (member instanceof Literal || value instanceof Literal) {
+      assignLiteral(member, value, err, bistack.i.length, path, key);
+      return;
+    }
+    if (member instanceof Pattern || value instanceof Pattern) {
+      assignPattern(member, value, err, bistack.i.length, path, key);
+      return;
+    }
+    if (member instanceof Tuple || value instanceof Tuple) {
+      iType = toMemberType(resolveMember(member));
+      oType = toMemberType(resolveMember(value));
+      if (opts.recurse) {
+        assignTuple(member, value, opts, err, bistack, path, key);
+      } else if (iType !== oType
+          && !(iType === 'object' && oType === 'array')) {
+        err.push(createTypeMismatch(key, iType, oType, bistack.i.length, path));
+      }
+      return;
+    }
+    if (member instanceof CustomType || value instanceof CustomType) {
+      // predicates can't be compared, unless they are the same
+      if (toMemberType(member) !== toMemberType(value)) {
+        err.push(createTypeMismatch(key, toMemberType(member), toMemberType(
+            value), bistack.i.length, path));
+      }
+      return;
+    }
+    if (resolveMember(member) === undefined && member instanceof Reference) {
+      err.push(createUnresolvedError(member, bistack.i.length, path));
+      return;
+    }
+    if (resolveMember(value) === undefined && value instanceof Reference) {
+      err.push(createUnresolvedError(value, bistack.i.length, path));
+      return;
+    }
+    member = resolveMember(member);
+    value = resolveMember(value);
+
+    iType = toType(member);
+    oType = toType(value);
+
+    switch (true) {
+    case compareTypes(iType, oType, opts):
+    case !opts.recurse && iType === 'object'
+        && (isFunctionType(oType) || oType === 'array'):
+      // an implementation of a function or an array can't be guaranteed to
+      // implement a sub-interface, unless it isn't matched recursively
+      if (opts.recurse && iType === 'object') {
+        if (member.Interface instanceof Tuple
+            || value.Interface instanceof Tuple) {
+          assignTuple(member.Interface, value.Interface, opts, err, bistack,
+              joinPath(path, 'Interface'), 'Interface');
+        } else if (toType(member.Interface) === 'array'
+            && toType(value.Interface) === 'array') {
+          assignArrays(member.Interface, value.Interface, opts, err, bistack,
+              joinPath(path, 'Interface'));
+        } else if (toType(member.Interface) === 'array'
+            || toType(value.Interface) === 'array') {
+          err.push(createTypeMismatch(key, toType(member.Interface),
+              toType(value.Interface), bistack.i.length, joinPath(path,
+                  'Interface')));
+        } else {
+          assignKeys(member, value, opts, err, bistack, path);
+        }
+      } else if (opts.recurse && iType === 'array') {
+        assignArrays(member, value, opts, err, bistack, path);
+      } else if (opts.arity && isFunctionType(iType)) {
+        if (!compareArity(member, value, opts.arity)) {
+          err.push(createArityMismatch(key, member, value, opts.arity,
+              bistack.i.length, path));
+        }
+      }
+      break;
+    default:
+      err.push(createTypeMismatch(key, iType, oType, bistack.i.length, path));
+    }
+  }
+
+  /**
+   * match a member of one interface against the member of another, of which
+   * at least one is a Tuple. A Tuple is assignable to an array, if the array
+   * accepts each of its elements
+   * 
+   * @param {any}
+   *          member the member of the super interface
+   * @param {any}
+   *          value the member of the sub interface
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the full path of the member
+   * @param {string}
+   *          key the member name
+   */
+  function assignTuple (member, value, opts, err, bistack, path, key) {
+    var memberMax, valueMax, index;
+
+    member = resolveMember(member);
+    value = resolveMember(value);
+
+    if (!(member instanceof Tuple && value instanceof Tuple)) {
+      if (value instanceof Tuple && toType(member) === 'array') {
+        assignArrays(member, getTupleMembers(value), opts, err, bistack, path);
+      } else {
+        // arrays have no positions
+        err.push(createTypeMismatch(key, member instanceof Tuple ? 'tuple'
+            : toMemberType(member), value instanceof Tuple ? 'tuple'
+            : toMemberType(value), bistack.i.length, path));
+      }
+      return;
+    }
+
+    bistack = getBiStack(bistack, member, value);
+    if (bistack === undefined) {
+      return;
+    }
+
+    memberMax = member.rest === undefined ? member.elements.length : Infinity;
+    valueMax = value.rest === undefined ? value.elements.length : Infinity;
+    if (value.required < member.required || valueMax > memberMax) {
+      err.push(createError('length-mismatch', bistack.i.length, [
+          'tuple length mismatch: ', formatTupleLength(value), ' != ',
+          formatTupleLength(member) ].join(''), {
+        path : path,
+        expected : formatTupleLength(member),
+        actual : formatTupleLength(value)
+      }));
+    }
+
+    for (index = 0; index < value.elements.length; index += 1) {
+      if (getTupleMember(member, index) !== undefined) {
+        assignValue(getTupleMember(member, index), value.elements[index], opts,
+            err, bistack, joinPath(path, index), [ '[', index, ']' ].join(''));
+      }
+    }
+    if (value.rest !== undefined) {
+      // the rest elements of value may be at any further position of member
+      for (index = value.elements.length; index < member.elements.length;
+          index += 1) {
+        assignValue(member.elements[index], value.rest, opts, err, bistack,
+            joinRestPath(path), '[...]');
+      }
+      if (member.rest !== undefined) {
+        assignValue(member.rest, value.rest, opts, err, bistack,
+            joinRestPath(path), '[...]');
+      }
+    }
+  }
+
+  /**
+   * match the members of one interface against the members of another, so
+   * every implementation of the latter also implements the former. See
+   * compareKeys()
+   * 
+   * @param {Interface}
+   *          intf the super interface
+   * @param {Interface}
+   *          sub the sub interface
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the path of the interfaces
+   */
+  function assignKeys (intf, sub, opts, err, bistack, path) {
+    var diff, key, index, type, idesc, odesc, start, keyPath;
+
+    bistack = getBiStack(bistack, intf, sub);
+    if (bistack === undefined) {
+      // infinite loop, but still valid unless other errors are found
+      return;
+    }
+
+    start = err.length;
+
+    diff = arrayDiff(sortKeys(getInterfaceKeys(intf)),
+        sortKeys(getInterfaceKeys(sub)));
+    path = joinPath(path, 'Interface');
+
+    for (index = 0; index < diff.a.length; index += 1) {
+      key = diff.a[index];
+      if (isOptionalKey(intf, key)) {
+        continue;
+      }
+      err.push(createError('missing-key', bistack.i.length, [ "missing key: ",
+          String(key) ].join(''), {
+        path : joinPath(path, key),
+        expected : getMemberType(getInterfaceDescriptor(intf, key))
+      }));
+    }
+
+    // implementations of sub contain at least the additional members of sub
+    for (index = 0; index < diff.b.length; index += 1) {
+      key = diff.b[index];
+      type = getMemberType(getInterfaceDescriptor(sub, key));
+      if (opts.noMoreMembers && !isFunctionType(type)) {
+        err.push(createError('extra-member', bistack.i.length, [
+            "extra member: ", String(key) ].join(''), {
+          path : joinPath(path, key),
+          actual : type
+        }));
+      }
+      if (opts.noMoreFuncs && isFunctionType(type)) {
+        err.push(createError('extra-function', bistack.i.length, [
+            "extra function: ", String(key) ].join(''), {
+          path : joinPath(path, key),
+          actual : type
+        }));
+      }
+    }
+
+    for (index = 0; index < diff.shared.length; index += 1) {
+      key = diff.shared[index];
+      keyPath = joinPath(path, key);
+      idesc = getInterfaceDescriptor(intf, key);
+      odesc = getInterfaceDescriptor(sub, key);
+
+      if (isAccessor(idesc)) {
+        // data members of sub may be implemented as data members
+        compareAccessors(key, idesc, odesc, err, bistack.i.length, keyPath);
+      } else if (isOptionalKey(sub, key) && !isOptionalKey(intf, key)) {
+        err.push(createError('missing-key', bistack.i.length, [
+            "optional key: ", String(key) ].join(''), {
+          path : keyPath,
+          expected : getMemberType(idesc)
+        }));
+      } else if (isAccessor(odesc)) {
+        // getters satisfy any data member. See compareKeys()
+        if (odesc.get === undefined) {
+          err.push(createTypeMismatch(key, toType(idesc
+              && unwrapOptional(idesc.value)), 'setter', bistack.i.length,
+              keyPath));
+        }
+      } else {
+        assignValue(idesc && idesc.value, odesc && odesc.value, opts, err,
+            bistack, keyPath, key);
+      }
+    }
+
+    attributeErrors(err, start, intf);
+  }
+
+  /**
+   * match the alternatives of one array against another, so every element
+   * which matches the latter also matches the former. See matchArrays()
+   * 
+   * @param {array}
+   *          array the alternatives of the super interface
+   * @param {array}
+   *          sub the alternatives of the sub interface
+   * @param {object}
+   *          opts an object with options. See matchInterface()
+   * @param {array}
+   *          err (output) an array of error records
+   * @param {object}
+   *          bistack a bistack for infinite loop avoidance
+   * @param {string}
+   *          path the full path of the arrays
+   */
+  function assignArrays (array, sub, opts, err, bistack, path) {
+    var index, alt, altIndex, alternative, found, suberr, elemPath;
+
+    bistack = getBiStack(bistack, array, sub);
+    if (bistack === undefined) {
+      return;
+    }
+
+    array = expandAlternatives(array);
+    sub = expandAlternatives(sub);
+    for (index = 0; index < sub.length; index += 1) {
+      alt = resolveMember(sub[index]);
+      elemPath = joinPath(path, index);
+      found = false;
+
+      for (altIndex = 0; altIndex < array.length && !found; altIndex += 1) {
+        alternative = resolveMember(array[altIndex]);
+
+        if (alternative instanceof Tuple || alt instanceof Tuple) {
+          suberr = [];
+          assignTuple(alternative, alt, opts, suberr, bistack, elemPath, index);
+          found = suberr.length === 0;
+        } else if (alternative instanceof CustomType
+            || alt instanceof CustomType
+            || alternative instanceof Pattern || alt instanceof Pattern
+            || alternative instanceof Literal || alt instanceof Literal) {
+          suberr = [];
+          assignValue(alternative, alt, opts, suberr, bistack, elemPath, index);
+          found = suberr.length === 0;
+        } else if (compareTypes(toType(alternative), toType(alt), opts)) {
+          // elements are always matched recursively. See matchArrays()
+          suberr = [];
+          if (toType(alt) === 'object') {
+            assignKeys(alternative, alt, opts, suberr, bistack, elemPath);
+          } else if (toType(alt) === 'array') {
+            assignArrays(alternative, alt, opts, suberr, bistack, elemPath);
+          }
+          found = suberr.length === 0;
+        }
+      }
+
+      if (!found) {
+        err.push(createError('no-array-match', bistack.i.length, [
+            "Interface array doesn't contain match for alternative at index ",
+            index, ': ', toType(alt) ].join(''), {
+          path : elemPath,
+          actual : toType(alt),
+          intf : array
+        }));
+      }
+    }
+  }
+
+  /**
+   * decide whether every implementation of one interface also implements
+   * another
+   * 
+   * @param {Interface}
+   *          sub the sub interface or its registered name
+   * @param {Interface}
+   *          intf the super interface or its registered name
+   * @param {string}
+   *          opts string of option characters. See matchInterface()
+   * @returns {array} an array of error records, which explain why sub is not
+   *          assignable to intf. [] if it is
+   */
+  function isAssignableDetailed (sub, intf, opts) {
+    var err, options, iType, oType;
+
+    err = [];
+
+    options = parseOptions(opts, err);
+    if (options === undefined) {
+      return err;
+    }
+
+    sub = resolveInterface(sub);
+    intf = resolveInterface(intf);
+    if (toType(sub) !== 'object' || toType(intf) !== 'object') {
+      err.push(createError('invalid-interface', undefined, [
+          'invalid type of interface: ',
+          toType(sub) !== 'object' ? toType(sub) : toType(intf) ].join(''), {
+        expected : 'object',
+        actual : toType(sub) !== 'object' ? toType(sub) : toType(intf)
+      }));
+      return err;
+    }
+
+    iType = toType(intf.Interface);
+    oType = toType(sub.Interface);
+    if (intf.Interface instanceof Tuple || sub.Interface instanceof Tuple) {
+      assignTuple(intf.Interface, sub.Interface, options, err, createBiStack(),
+          'Interface', 'Interface');
+      attributeErrors(err, 0, intf);
+    } else if (iType === 'array' && oType === 'array') {
+      assignArrays(intf.Interface, sub.Interface, options, err, createBiStack(),
+          'Interface');
+      attributeErrors(err, 0, intf);
+    } else if (iType === 'array' || oType === 'array') {
+      err.push(createTypeMismatch('Interface', iType, oType, 0, 'Interface'));
+      attributeErrors(err, 0, intf);
+    } else {
+      assignKeys(intf, sub, options, err, createBiStack(), '');
+    }
+
+    return err;
+  }
+
+  /**
+   * decide whether every implementation of one interface also implements
+   * another
+   * 
+   * @param {Interface}
+   *          sub the sub interface or its registered name
+   * @param {Interface}
+   *          intf the super interface or its registered name
+   * @param {string}
+   *          opts string of option characters. See matchInterface()
+   * @returns {boolean} true if sub is assignable to intf
+   */
+  function isAssignable (sub, intf, opts) {
+    return isAssignableDetailed(sub, intf, opts).length === 0;
+  }
+
+  /**
+   * convert the result of a generator spy to an iterable for yield*. Other
+   * values become the return value of the generator
+   * 
+   * @param {any}
+   *          value the result
+   * @param {string}
+   *          kind the kind of the spy
+   * @returns {object} value if it's iterable, or an empty iterable
+   */
+  function toSpyIterable (value, kind) {
+    var iterable;
+
+    if (value !== null && value !== undefined && (typeof value[Symbol.iterator]
+        === 'function' || kind === 'asyncgeneratorfunction'
+        && typeof value[Symbol.asyncIterator] === 'function')) {
+      return value;
+    }
+
+    iterable = {};
+    iterable[Symbol.iterator] = function () {
+      return {
+        next : function () {
+          return {
+            done : true,
+            value : value
+          };
+        }
+      };
+    };
+
+    return iterable;
+  }
+
+  /**
+   * create a spy with the kind and arity of a placeholder, which records its
+   * calls and returns programmable values. See mock()
+   * 
+   * @param {function}
+   *          placeholder the placeholder function
+   * @param {function}
+   *          implementation (optional) a function which handles the calls
+   * @param {object}
+   *          ctx the state of mock()
+   * @param {string}
+   *          path the member path for errors
+   * @returns {function} the spy
+   */
+  function createSpy (placeholder, implementation, ctx, path) {
+    var spy, sig, arity, kind, delegate;
+
+    function record (thisArg, args) {
+      var call;
+
+      call = {
+        thisArg : thisArg,
+        args : Array.prototype.slice.call(args)
+      };
+      spy.calls.push(call);
+
+      try {
+        call.result = spy.implementation ? spy.implementation.apply(thisArg,
+            args) : spy.returnValue;
+      } catch (e) {
+        call.error = e;
+        if (delegate) {
+          return delegate(e, true);
+        }
+        throw e;
+      }
+
+      return delegate ? delegate(call.result, false) : call.result;
+    }
+
+    sig = getSignature(placeholder);
+    arity = getArity(placeholder);
+    kind = toType(placeholder);
+
+    if (/generator/.test(kind)) {
+      // generator bodies only run on iteration, hence a plain function
+      // records the call and returns a generator which delegates to the
+      // result, or throws the error
+      delegate = createFunction({
+        kind : kind,
+        required : 2,
+        declared : 2,
+        rest : false
+      }, 'if (a1) { throw a0; } return yield* record(a0);', function (value) {
+        return toSpyIterable(value, kind);
+      });
+    }
+
+    spy = createFunction({
+      kind : delegate ? 'function' : kind,
+      required : arity.required,
+      declared : arity.declared,
+      rest : arity.rest
+    }, 'return record(this, arguments);', record);
+    if (delegate) {
+      // keep the kind of the placeholder for toType()
+      Object.setPrototypeOf(spy, Object.getPrototypeOf(delegate));
+    }
+
+    spy.calls = [];
+    spy.implementation = implementation;
+    // the default result is only needed without an implementation
+    spy.returnValue = sig && sig.result !== undefined && !implementation
+        ? createDefault(sig.result, ctx, true, joinPath(path, 'result'))
+        : undefined;
+
+    spy.returns = function (value) {
+      spy.implementation = undefined;
+      spy.returnValue = value;
+      return spy;
+    };
+    spy.implement = function (func) {
+      spy.implementation = func;
+      return spy;
+    };
+    spy.reset = function () {
+      spy.calls = [];
+      return spy;
+    };
+
+    return spy;
+  }
+
+  /**
+   * throw a TypeError for a member without a conforming default value
+   * 
+   * @param {string}
+   *          path the member path
+   * @param {string}
+   *          reason the reason
+   */
+  function throwNoDefault (path, reason) {
+    throw new TypeError([ 'Implements.mock(): no default value for ', path,
+        ': ', reason ].join(''));
+  }
+
+  /**
+   * create a default value for one of the alternatives of a OneOf. The first
+   * alternative with a default value wins
+   * 
+   * @param {OneOf}
+   *          member the OneOf
+   * @param {object}
+   *          ctx the state of mock()
+   * @param {boolean}
+   *          isSpec true if strings are signature type names
+   * @param {string}
+   *          path the member path
+   * @returns {any} the default value
+   * @throws {TypeError}
+   *           the error of the first alternative if none has a default
+   */
+  function createOneOfDefault (member, ctx, isSpec, path) {
+    var index, error;
+
+    for (index = 0; index < member.alternatives.length; index += 1) {
+      if (member.alternatives[index] === null) {
+        return null;
+      }
+      try {
+        return createDefault(member.alternatives[index], ctx, isSpec, path);
+      } catch (e) {
+        error = error || e;
+      }
+    }
+
+    throw error;
+  }
+
+  /**
+   * create a default value for a signature type name
+   * 
+   * @param {string}
+   *          name the type name
+   * @param {string}
+   *          path the member path
+   * @returns {any} the default value
+   */
+  function createTypeNameDefault (name, path) {
+    switch (name) {
+    case 'any':
+    case 'undefined':
+      return undefined;
+    case 'null':
+      return null;
+    case 'number':
+      return 0;
+    case 'bigint':
+      return BigInt(0);
+    case 'string':
+      return '';
+    case 'boolean':
+      return false;
+    case 'symbol':
+      return Symbol('mock');
+    case 'date':
+      return new Date(0);
+    case 'regexp':
+      return new RegExp('');
+    case 'error':
+      return new Error('mock');
+    case 'array':
+      return [];
+    case 'object':
+      return {};
+    case 'map':
+      return new Map();
+    case 'set':
+      return new Set();
+    case 'weakmap':
+      return new WeakMap();
+    case 'weakset':
+      return new WeakSet();
+    case 'promise':
+      return Promise.resolve();
+    case 'function':
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
+      return createFunction({
+        kind : name,
+        required : 0,
+        declared : 0,
+        rest : false
+      });
+    default:
+      throwNoDefault(path, [ 'unknown type ', name ].join(''));
+    }
+  }
+
+  /**
+   * create a type-appropriate default value for an interface member, which
+   * matches the member recursively
+   * 
+   * @param {any}
+   *          member the interface member
+   * @param {object}
+   *          ctx the state of mock()
+   * @param {boolean}
+   *          isSpec true if strings are signature type names
+   * @param {string}
+   *          path the member path for errors
+   * @returns {any} the default value
+   * @throws {TypeError}
+   *           if no default value matches the member, e.g. for patterns
+   *           without example or custom types without sample
+   */
+  function createDefault (member, ctx, isSpec, path) {
+    var name;
+
+    member = resolveMember(member);
+
+    if (member instanceof OneOf) {
+      return createOneOfDefault(member, ctx, isSpec, path);
+    }
+    if (member instanceof Pattern) {
+      if (member.example !== undefined) {
+        return member.example;
+      }
+      if (!testPattern(member, '')) {
+        throwNoDefault(path, [ 'pattern ', String(member.regexp),
+            ' without example' ].join(''));
+      }
+      return '';
+    }
+    if (member instanceof Literal) {
+      return member.value;
+    }
+    if (member instanceof Tuple) {
+      return member.elements.slice(0, member.required).map(function (element,
+          index) {
+        return createDefault(element, ctx, false, joinPath(path, index));
+      });
+    }
+    if (member instanceof CustomType || isSpec && member in customTypes) {
+      name = isSpec && typeof member === 'string' ? member : member.name;
+      if (!(name in customTypes) || customTypes[name].sample === undefined) {
+        throwNoDefault(path, [ 'custom type ', name, ' without sample' ]
+            .join(''));
+      }
+      // deterministic samples
+      return sampleCustomType(name, function () {
+        return 0;
+      });
+    }
+
+    if (isSpec && typeof member === 'string') {
+      return createTypeNameDefault(member, path);
+    }
+
+    switch (toType(member)) {
+    case 'number':
+      return 0;
+    case 'string':
+      return '';
+    case 'boolean':
+      return false;
+    case 'date':
+      return new Date(0);
+    case 'regexp':
+      return new RegExp('');
+    case 'array':
+      // an empty array matches any alternatives
+      return [];
+    case 'object':
+      if (member.Interface instanceof Tuple) {
+        return createDefault(member.Interface, ctx, false, joinPath(path,
+            'Interface'));
+      }
+      return toType(member.Interface) === 'array' ? [] : createMock(member,
+          undefined, ctx, path);
+    case 'function':
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
+      return createSpy(member, undefined, ctx, path);
+    default:
+      return undefined;
+    }
+  }
+
+  /**
+   * define an accessor of a mock, which stores the assigned value
+   * 
+   * @param {object}
+   *          obj the mock
+   * @param {string}
+   *          key the member name
+   * @param {object}
+   *          desc the accessor descriptor of the interface
+   * @param {any}
+   *          value the initial value
+   */
+  function defineMockAccessor (obj, key, desc, value) {
+    Object.defineProperty(obj, key, {
+      get : desc.get === undefined ? undefined : function () {
+        return value;
+      },
+      set : desc.set === undefined ? undefined : function (newValue) {
+        value = newValue;
+      },
+      enumerable : true,
+      configurable : true
+    });
+  }
+
+  /**
+   * create a mock of an interface. Recursive interfaces result in recursive
+   * mocks
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {object}
+   *          overrides (optional) members which replace the defaults
+   * @param {object}
+   *          ctx the state of mock()
+   * @param {string}
+   *          path the path of the interface for errors
+   * @returns {object} the mock
+   */
+  function createMock (intf, overrides, ctx, path) {
+    var obj, keys, key, index, desc, override, keyPath;
+
+    index = ctx.intfs.indexOf(intf);
+    if (index !== -1) {
+      return ctx.mocks[index];
+    }
+
+    obj = {};
+    ctx.intfs.push(intf);
+    ctx.mocks.push(obj);
+
+    overrides = overrides || {};
+    keys = arrayUniq(getInterfaceKeys(intf).concat(getOwnKeys(overrides)));
+
+    for (index = 0; index < keys.length; index += 1) {
+      key = keys[index];
+      desc = getInterfaceDescriptor(intf, key) || {};
+      override = Object.prototype.hasOwnProperty.call(overrides, key);
+      keyPath = joinPath(joinPath(path, 'Interface'), key);
+
+      if (isAccessor(desc)) {
+        defineMockAccessor(obj, key, desc, override ? overrides[key]
+            : undefined);
+      } else if (isFunctionType(toType(unwrapOptional(desc.value)))) {
+        obj[key] = createSpy(unwrapOptional(desc.value), override
+            ? overrides[key] : undefined, ctx, keyPath);
+      } else if (override) {
+        obj[key] = overrides[key];
+      } else if (desc.value instanceof Optional) {
+        // optional members without a default value are omitted
+        try {
+          obj[key] = createDefault(desc.value, ctx, false, keyPath);
+        } catch (e) {
+          continue;
+        }
+      } else {
+        obj[key] = createDefault(desc.value, ctx, false, keyPath);
+      }
+    }
+
+    return obj;
+  }
+
+  /**
+   * create a mock of an interface, which matches it recursively
+   * 
+   * @param {Interface}
+   *          intf the interface or its registered name
+   * @param {object}
+   *          overrides (optional) members which replace the defaults.
+   *          Functions become the implementation of the spies
+   * @returns {object} the mock
+   * @throws {TypeError}
+   *           if a required member has no default value. See createDefault()
+   */
+  function mock (intf, overrides) {
+    intf = resolveInterface(intf);
+    if (toType(intf) !== 'object' || toType(intf.Interface) !== 'object'
+        || isArrayInterface(intf)) {
+      throw new TypeError('Implements.mock(): intf.Interface is no object');
+    }
+
+    return createMock(intf, overrides, {
+      intfs : [],
+      mocks : []
+    }, '');
+  }
+
+  /**
+   * create a seeded pseudo-random number generator (mulberry32)
+   * 
+   * @param {number}
+   *          seed a 32 bit integer
+   * @returns {function} a function which returns numbers in [0, 1)
+   */
+  function createRandom (seed) {
+    var state;
+
+    state = seed >>> 0;
+
+    return function () {
+      var t;
+
+      state = (state + 0x6D2B79F5) >>> 0;
+      t = state;
+      t = Math.imul(t ^ t >>> 15, t | 1);
+      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * generate a random string of printable ASCII characters
+   * 
+   * @param {function}
+   *          random the random number generator
+   * @returns {string} a string of up to 8 characters
+   */
+  function generateString (random) {
+    var chars, length;
+
+    chars = [];
+    length = Math.floor(random() * 9);
+    while (chars.length < length) {
+      chars.push(String.fromCharCode(32 + Math.floor(random() * 95)));
+    }
+
+    return chars.join('');
+  }
+
+  /**
+   * generate a random number, which is an integer most of the time
+   * 
+   * @param {function}
+   *          random the random number generator
+   * @returns {number} the number
+   */
+  function generateNumber (random) {
+    switch (Math.floor(random() * 4)) {
+    case 0:
+      return 0;
+    case 1:
+      return Math.floor(random() * 201) - 100;
+    case 2:
+      return random() * 2000 - 1000;
+    default:
+      return Math.floor(random() * 0x7FFFFFFF);
+    }
+  }
+
+  /**
+   * throw a TypeError for a member which arbitrary() can't generate
+   * 
+   * @param {string}
+   *          path the member path
+   * @param {string}
+   *          reason the reason
+   * @throws {TypeError}
+   *           always
+   */
+  function throwNoValue (path, reason) {
+    throw new TypeError([ 'Implements.arbitrary(): no value for ', path, ': ',
+        reason ].join(''));
+  }
+
+  /**
+   * generate a string which matches a pattern. Random strings rarely match
+   * specific patterns, hence the example of the pattern as a fallback
+   * 
+   * @param {Pattern}
+   *          member the pattern member
+   * @param {function}
+   *          random the random number generator
+   * @param {string}
+   *          path the member path
+   * @returns {string} a matching random string, the example or ''
+   * @throws {TypeError}
+   *           if neither matches
+   */
+  function generatePattern (member, random, path) {
+    var attempt, value;
+
+    for (attempt = 0; attempt < 100; attempt += 1) {
+      value = generateString(random);
+      if (testPattern(member, value)) {
+        return value;
+      }
+    }
+
+    if (member.example !== undefined) {
+      return member.example;
+    }
+    if (!testPattern(member, '')) {
+      throwNoValue(path, [ 'pattern ', String(member.regexp),
+          ' without example' ].join(''));
+    }
+    return '';
+  }
+
+  /**
+   * generate a random value for one of the alternatives of a OneOf. The other
+   * alternatives are tried in order if the random one can't be generated
+   * 
+   * @param {OneOf}
+   *          member the OneOf
+   * @param {object}
+   *          ctx the state of arbitrary()
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the member path
+   * @returns {any} the value
+   * @throws {TypeError}
+   *           the error of the random alternative if none can be generated
+   */
+  function generateOneOf (member, ctx, depth, path) {
+    var alternatives, first, index, alternative, error;
+
+    alternatives = member.alternatives;
+    first = Math.floor(ctx.random() * alternatives.length);
+    for (index = 0; index < alternatives.length; index += 1) {
+      alternative = alternatives[(first + index) % alternatives.length];
+      if (alternative === null) {
+        return null;
+      }
+      try {
+        return generateValue(alternative, ctx, depth, path);
+      } catch (e) {
+        error = error || e;
+      }
+    }
+
+    throw error;
+  }
+
+  /**
+   * generate random elements of an array of alternatives
+   * 
+   * @param {array}
+   *          array the alternatives
+   * @param {object}
+   *          ctx the state of arbitrary()
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the path of the array
+   * @param {number}
+   *          offset (optional) the index of the first element in the path
+   * @returns {array} up to 4 elements. Empty beyond the maximum depth
+   */
+  function generateElements (array, ctx, depth, path, offset) {
+    var elements, length;
+
+    elements = [];
+    length = depth > ctx.maxDepth ? 0 : Math.floor(ctx.random() * 5);
+    offset = offset || 0;
+
+    while (elements.length < length) {
+      elements.push(generateValue(array[Math.floor(ctx.random()
+          * array.length)], ctx, depth + 1, joinPath(path, offset
+          + elements.length)));
+    }
+    ctx.arrays.push(elements);
+
+    return elements;
+  }
+
+  /**
+   * generate the elements of a tuple. Optional elements are omitted at random,
+   * and rest elements are only generated after all others
+   * 
+   * @param {Tuple}
+   *          tuple the tuple
+   * @param {object}
+   *          ctx the state of arbitrary()
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the path of the tuple
+   * @returns {array} the elements
+   */
+  function generateTuple (tuple, ctx, depth, path) {
+    var elements, index;
+
+    elements = [];
+    for (index = 0; index < tuple.elements.length; index += 1) {
+      if (index >= tuple.required && ctx.random() < 0.5) {
+        ctx.arrays.push(elements);
+        return elements;
+      }
+      elements.push(generateValue(tuple.elements[index], ctx, depth + 1,
+          joinPath(path, index)));
+    }
+
+    if (tuple.rest !== undefined) {
+      elements = elements.concat(generateElements([ tuple.rest ], ctx, depth,
+          path, elements.length));
+    }
+    ctx.arrays.push(elements);
+
+    return elements;
+  }
+
+  /**
+   * generate a random value, which matches an interface member recursively
+   * 
+   * @param {any}
+   *          member the interface member
+   * @param {object}
+   *          ctx the state of arbitrary()
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the member path
+   * @returns {any} the value
+   * @throws {TypeError}
+   *           for patterns without a matching string and custom types without
+   *           a sample
+   */
+  function generateValue (member, ctx, depth, path) {
+    var arity;
+
+    member = unwrapOptional(member);
+    if (member instanceof OneOf) {
+      return generateOneOf(member, ctx, depth, path);
+    }
+    if (member instanceof CustomType) {
+      if (!(member.name in customTypes)
+          || customTypes[member.name].sample === undefined) {
+        throwNoValue(path, [ 'custom type ', member.name, ' without sample' ]
+            .join(''));
+      }
+      return sampleCustomType(member.name, ctx.random);
+    }
+    if (member instanceof Pattern) {
+      return generatePattern(member, ctx.random, path);
+    }
+    if (member instanceof Literal) {
+      return member.value;
+    }
+    if (member instanceof Tuple) {
+      return generateTuple(member, ctx, depth, path);
+    }
+    member = resolveMember(member);
+
+    switch (toType(member)) {
+    case 'number':
+      return generateNumber(ctx.random);
+    case 'string':
+      return generateString(ctx.random);
+    case 'boolean':
+      return ctx.random() < 0.5;
+    case 'date':
+      return new Date(Math.floor(ctx.random() * 4102444800000));
+    case 'regexp':
+      return new RegExp(generateString(ctx.random).replace(
+          /[.*+?^${}()|[\]\\\/]/g, '\\$&'));
+    case 'array':
+      return generateElements(member, ctx, depth, path);
+    case 'object':
+      return generateInterface(member, ctx, depth, path);
+    case 'function':
+    case 'asyncfunction':
+    case 'generatorfunction':
+    case 'asyncgeneratorfunction':
+      arity = getArity(member);
+      return createFunction({
+        kind : toType(member),
+        required : arity.required,
+        declared : arity.declared,
+        rest : arity.rest
+      });
+    default:
+      return undefined;
+    }
+  }
+
+  /**
+   * generate a random implementation of an interface. Beyond the maximum
+   * depth, recursive interfaces reuse the implementation of their ancestor
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {object}
+   *          ctx the state of arbitrary()
+   * @param {number}
+   *          depth the nesting depth
+   * @param {string}
+   *          path the path of the interface
+   * @returns {any} an object, or an array for array interfaces
+   */
+  function generateInterface (intf, ctx, depth, path) {
+    var obj, keys, index, desc, optionals, keyPath, stackLength;
+
+    if (depth === 0) {
+      // the objects with their optional keys, and the arrays of the last
+      // value. See generateInvalid()
+      ctx.objects = [];
+      ctx.optionals = [];
+      ctx.arrays = [];
+      // left over by a TypeError of the last value
+      ctx.intfs = [];
+      ctx.values = [];
+    }
+
+    if (intf.Interface instanceof Tuple) {
+      return generateTuple(intf.Interface, ctx, depth, joinPath(path,
+          'Interface'));
+    }
+    if (toType(intf.Interface) === 'array') {
+      return generateElements(intf.Interface, ctx, depth, joinPath(path,
+          'Interface'));
+    }
+
+    index = ctx.intfs.lastIndexOf(intf);
+    if (index !== -1 && depth > ctx.maxDepth) {
+      return ctx.values[index];
+    }
+
+    obj = {};
+    ctx.intfs.push(intf);
+    ctx.values.push(obj);
+    stackLength = ctx.intfs.length;
+
+    keys = getInterfaceKeys(intf);
+    optionals = [];
+    for (index = 0; index < keys.length; index += 1) {
+      desc = getInterfaceDescriptor(intf, keys[index]) || {};
+      if (desc.value instanceof Optional) {
+        optionals.push(keys[index]);
+        if (ctx.random() < 0.5) {
+          continue;
+        }
+      }
+      keyPath = joinPath(joinPath(path, 'Interface'), keys[index]);
+      if (isAccessor(desc)) {
+        defineMockAccessor(obj, keys[index], desc, undefined);
+      } else if (desc.value instanceof Optional) {
+        // optional members without a generated value are omitted
+        try {
+          obj[keys[index]] = generateValue(desc.value, ctx, depth + 1,
+              keyPath);
+        } catch (e) {
+          ctx.intfs.length = ctx.values.length = stackLength;
+        }
+      } else {
+        obj[keys[index]] = generateValue(desc.value, ctx, depth + 1, keyPath);
+      }
+    }
+    ctx.objects.push(obj);
+    ctx.optionals.push(optionals);
+
+    ctx.intfs.pop();
+    ctx.values.pop();
+
+    return obj;
+  }
+
+  /**
+   * collect the objects and arrays of a generated value, which can be
+   * mutated to break the match. Samples of custom types are no sites
+   * 
+   * @param {any}
+   *          value the generated value
+   * @param {array}
+   *          sites (output) an array of objects with members and arrays
+   * @param {object}
+   *          ctx the state of arbitrary()
+   */
+  function collectSites (value, sites, ctx) {
+    var keys, index, desc;
+
+    if (ctx.objects.indexOf(value) === -1 && ctx.arrays.indexOf(value) === -1
+        || sites.indexOf(value) !== -1) {
+      return;
+    }
+
+    keys = getOwnKeys(value);
+    if (keys.length !== 0 || toType(value) === 'array') {
+      sites.push(value);
+    }
+
+    for (index = 0; index < keys.length; index += 1) {
+      desc = Object.getOwnPropertyDescriptor(value, keys[index]);
+      if (!isAccessor(desc)) {
+        collectSites(desc.value, sites, ctx);
+      }
+    }
+  }
+
+  /**
+   * generate a random value which doesn't match an interface recursively, by
+   * breaking a random part of a matching value: a removed member, a member
+   * of the wrong type or an array element without any matching alternative
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @param {object}
+   *          ctx the state of arbitrary()
+   * @returns {any} the value
+   */
+  function generateInvalid (intf, ctx) {
+    var value, sites, site, keys, key;
+
+    value = generateInterface(intf, ctx, 0, '');
+    sites = [];
+    collectSites(value, sites, ctx);
+    if (!ctx.options.recurse) {
+      // nested values are only type-checked
+      sites = sites.slice(0, 1);
+    }
+
+    if (sites.length === 0) {
+      // an empty interface matches every object
+      return null;
+    }
+
+    site = sites[Math.floor(ctx.random() * sites.length)];
+    if (toType(site) === 'array') {
+      // errors are no valid interface types
+      site.push(new Error('invalid'));
+      return value;
+    }
+
+    keys = getOwnKeys(site);
+    key = keys[Math.floor(ctx.random() * keys.length)];
+    delete site[key];
+    // optional members may be missing, but not invalid
+    if (ctx.random() < 0.5
+        || ctx.optionals[ctx.objects.indexOf(site)].indexOf(key) !== -1) {
+      site[key] = new Error('invalid');
+    }
+
+    return value;
+  }
+
+  /**
+   * copy an object with all of its own members
+   * 
+   * @param {object}
+   *          obj the object
+   * @returns {object} the copy
+   */
+  function copyObject (obj) {
+    var copy, keys, index;
+
+    copy = Object.create(Object.getPrototypeOf(obj));
+    keys = getOwnKeys(obj);
+    for (index = 0; index < keys.length; index += 1) {
+      Object.defineProperty(copy, keys[index], Object.getOwnPropertyDescriptor(
+          obj, keys[index]));
+    }
+
+    return copy;
+  }
+
+  /**
+   * create smaller variants of a value. Object members are kept, but array
+   * elements are removed, including required tuple positions, and strings and
+   * numbers may break patterns, literals and custom types. Hence, the
+   * variants need to be matched again. See arbitrary()
+   * 
+   * @param {any}
+   *          value the value
+   * @param {array}
+   *          stack a stack for infinite recursion avoidance
+   * @returns {array} the smaller variants, simplest first
+   */
+  function shrinkValue (value, stack) {
+    var out, keys, index, candidates, candidate, copy;
+
+    out = [];
+
+    switch (toType(value)) {
+    case 'number':
+      out = [ 0, Math.trunc(value), Math.trunc(value / 2),
+          Math.trunc(value) - Math.sign(value) ];
+      break;
+    case 'string':
+      out = [ '', value.slice(0, Math.floor(value.length / 2)),
+          value.slice(0, -1) ];
+      break;
+    case 'boolean':
+      out = [ false ];
+      break;
+    case 'date':
+      if (value.getTime() !== 0) {
+        out = [ new Date(0) ];
+      }
+      return out;
+    case 'regexp':
+      if (value.source !== new RegExp('').source) {
+        out = [ new RegExp('') ];
+      }
+      return out;
+    case 'array':
+      stack = getStack(stack, value);
+      if (stack === undefined || value.length === 0) {
+        return out;
+      }
+      out.push([]);
+      if (value.length > 1) {
+        out.push(value.slice(0, Math.floor(value.length / 2)));
+        for (index = 0; index < value.length; index += 1) {
+          out.push(value.slice(0, index).concat(value.slice(index + 1)));
+        }
+      }
+      for (index = 0; index < value.length; index += 1) {
+        candidates = shrinkValue(value[index], stack);
+        for (candidate = 0; candidate < candidates.length; candidate += 1) {
+          copy = value.slice();
+          copy[index] = candidates[candidate];
+          out.push(copy);
+        }
+      }
+      return out;
+    case 'object':
+      stack = getStack(stack, value);
+      if (stack === undefined) {
+        return out;
+      }
+      keys = getOwnKeys(value);
+      for (index = 0; index < keys.length; index += 1) {
+        if (isAccessor(Object.getOwnPropertyDescriptor(value, keys[index]))) {
+          continue;
+        }
+        candidates = shrinkValue(value[keys[index]], stack);
+        for (candidate = 0; candidate < candidates.length; candidate += 1) {
+          copy = copyObject(value);
+          copy[keys[index]] = candidates[candidate];
+          out.push(copy);
+        }
+      }
+      return out;
+    default:
+      return out;
+    }
+
+    // unique primitives, except for value itself
+    return arrayUniq(out).filter(function (variant) {
+      return variant !== value;
+    });
+  }
+
+  /**
+   * test whether a property holds for a value
+   * 
+   * @param {function}
+   *          property the property
+   * @param {any}
+   *          value the value
+   * @returns {boolean} false if the property returned false or threw
+   */
+  function holds (property, value) {
+    try {
+      return property(value) !== false;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * create a generator of random values for an interface
+   * 
+   * @param {Interface}
+   *          intf the interface or its registered name
+   * @param {number}
+   *          seed (optional) a 32 bit integer seed. Random if omitted
+   * @param {string}
+   *          opts (optional) the match options of the generated values.
+   *          Default: "r"
+   * @returns {object} the generator. See Implements.arbitrary()
+   */
+  function arbitrary (intf, seed, opts) {
+    var ctx, options;
+
+    intf = resolveInterface(intf);
+    if (toType(intf) !== 'object') {
+      throw new TypeError('Implements.arbitrary(): intf is no interface');
+    }
+
+    if (seed === undefined) {
+      seed = Math.floor(Math.random() * 0x100000000);
+    }
+
+    opts = opts === undefined ? 'r' : opts;
+    options = parseOptions(opts, []);
+    if (options === undefined) {
+      throw new TypeError([ 'Implements.arbitrary(): invalid opts: ', opts ]
+          .join(''));
+    }
+
+    // shrunk values may break tuples, patterns, literals and custom types
+    function conforms (value) {
+      return matchDetailed(intf, value, opts).length === 0;
+    }
+
+    ctx = {
+      options : options,
+      random : createRandom(seed),
+      maxDepth : 3,
+      intfs : [],
+      values : [],
+      objects : [],
+      optionals : [],
+      arrays : []
+    };
+
+    return {
+      seed : seed,
+      generate : function () {
+        return generateInterface(intf, ctx, 0, '');
+      },
+      generateInvalid : function () {
+        return generateInvalid(intf, ctx);
+      },
+      shrink : function (value) {
+        return shrinkValue(value, []).filter(conforms);
+      },
+      check : function (property, runs) {
+        var run, value, shrunk, candidates, index, steps;
 
-    }
+        runs = runs || 100;
 
-    if (!critical) {
-      bistack = createBiStack();
-      if (type === 'object') {
-        compareKeys(intf, obj, options, err, bistack);
-      } else if (type === 'array') {
-        matchArrays(intf.Interface, obj, opts, err, bistack);
+        for (run = 1; run <= runs; run += 1) {
+          value = generateInterface(intf, ctx, 0, '');
+          if (!holds(property, value)) {
+            // shrink greedily to a local minimum
+            shrunk = value;
+            for (steps = 0; steps < 1000; steps += 1) {
+              candidates = shrinkValue(shrunk, []).filter(conforms);
+              for (index = 0; index < candidates.length; index += 1) {
+                if (!holds(property, candidates[index])) {
+                  break;
+                }
+              }
+              if (index === candidates.length) {
+                break;
+              }
+              shrunk = candidates[index];
+            }
+
+            return {
+              seed : seed,
+              runs : run,
+              value : value,
+              shrunk : shrunk
+            };
+          }
+        }
+
+        return undefined;
       }
-    }
+    };
   }
 
   /**
-   * a wrapper around matchInterface(). see matchInterface() for information on
-   * the parameters and options
+   * combine array and tuple interfaces, which can't be extended. Their
+   * combination is the interface which is assignable to all of them
    * 
-   * @returns {string} a newline-separated string of errors
+   * @param {array}
+   *          intfs the array and tuple interfaces
+   * @returns {Interface} a new array or tuple interface with all Requires
+   * @throws {TypeError}
+   *           if none of the interfaces is assignable to all others
    */
-  function match (intf, obj, opts) {
-    var err;
+  function combineArrayInterfaces (intfs) {
+    var index, combined, requires;
 
-    err = [];
+    for (index = 0; index < intfs.length; index += 1) {
+      if (intfs.every(function (intf) {
+        return isAssignable(intfs[index], intf, 'r');
+      })) {
+        break;
+      }
+    }
+    if (index === intfs.length) {
+      throw new TypeError([ 'Implements.combine(): no array interface is ',
+          'assignable to all others' ].join(''));
+    }
 
-    matchInterface(intf, obj, opts, err);
+    combined = {
+      Interface : intfs[index].Interface
+    };
+
+    requires = [];
+    for (index = 0; index < intfs.length; index += 1) {
+      requires = requires.concat(intfs[index].Requires || []);
+    }
+    if (requires.length !== 0) {
+      combined.Requires = requires;
+    }
 
-    return err.join('\n');
+    return combined;
   }
 
   /**
-   * combine all arguments into a single interface
+   * combine all arguments into a single interface. Object interfaces are
+   * extended, while array and tuple interfaces are combined to the one which
+   * is assignable to all others
    * 
    * @param {Interface}
    *          arguments one or more interfaces
    * @returns a combined interface
+   * @throws {TypeError}
+   *           for array interfaces which can't be combined
    */
   function combine () {
-    var ext, intf;
+    var ext, intf, resolved, arrays;
 
     ext = [];
+    arrays = [];
 
     for (intf in arguments) {
       ext.push(arguments[intf]);
+      resolved = resolveInterface(arguments[intf]);
+      if (toType(resolved) === 'object' && isArrayInterface(resolved)) {
+        arrays.push(resolved);
+      }
+    }
+
+    if (arrays.length !== 0) {
+      if (arrays.length !== ext.length) {
+        throw new TypeError([ 'Implements.combine(): array and object ',
+            "interfaces can't be combined" ].join(''));
+      }
+      return combineArrayInterfaces(arrays);
     }
 
     return {
@@ -909,13 +7627,16 @@ var Implements = (function () {
    * 
    * Implements(intf, impl, opts) -> Implements.match(intf, impl, opts)
    * 
+   * Implements(intf, impl, opts, env) -> Implements.match(intf, impl, opts, env)
+   * 
    * @param {Interface}
    *          intf an interface object
    * @param {object}
    *          obj (optional) an object to match against intf
    * @param {string}
    *          opts (optional) match options. See matchInterface()
-   * 
+   * @param {function,
+   *          Map} env (optional) the environment for Requires. See match()
    */
   Implements = function () {
     switch (arguments.length) {
@@ -933,6 +7654,8 @@ var Implements = (function () {
       return match(arguments[0], arguments[1]);
     case 3:
       return match(arguments[0], arguments[1], arguments[2]);
+    case 4:
+      return match(arguments[0], arguments[1], arguments[2], arguments[3]);
     default:
       return [ "Interface(): invalid number of arguments: ", arguments.length ].join('');
     }
@@ -950,6 +7673,17 @@ var Implements = (function () {
    */
   Implements.validate = validate;
 
+  /**
+   * Like validate(), but returns the errors as an array of error records:
+   * 
+   * { code, depth, message, path, expected, actual, intf }
+   * 
+   * @param {Interface}
+   *          intf A candidate for an interface
+   * @returns {array} an array of error records. [] on match.
+   */
+  Implements.validateDetailed = validateDetailed;
+
   /**
    * Tests the implementation against the interface
    * 
@@ -963,17 +7697,45 @@ var Implements = (function () {
    * 
    * 'm' - disallow additional members, including functions
    * 
+   * 'a' - functions have to accept at least the parameters of the placeholder
+   * 
+   * 'A' - functions have to declare exactly the parameters of the placeholder
+   * 
+   * 'k' - functions have to be of the same kind as the placeholder: plain,
+   * async, generator or async generator function
+   * 
    * @param {Interface}
    *          intf The interface to match against
    * @param {object}
    *          obj the implementation
    * @param {string}
    *          opts string of option characters (see above) Default: ""
+   * @param {function,
+   *          Map} env (optional) if present, every interface in the Requires
+   *          arrays of intf and its Extends is matched against the
+   *          dependency returned by env(requiredIntf, requiringIntf), or by
+   *          env.get(requiredIntf) if env is a Map
    * @returns {string} a newline-separated string with error description. "" on
    *          match.
    */
   Implements.match = match;
 
+  /**
+   * Like match(), but returns the errors as an array of error records. See
+   * validateDetailed() for the record structure.
+   * 
+   * @param {Interface}
+   *          intf The interface to match against
+   * @param {object}
+   *          obj the implementation
+   * @param {string}
+   *          opts string of option characters (see match()) Default: ""
+   * @param {function,
+   *          Map} env (optional) the environment for Requires. See match()
+   * @returns {array} an array of error records. [] on match.
+   */
+  Implements.matchDetailed = matchDetailed;
+
   /**
    * combine all arguments into a single interface object.
    * 
@@ -983,14 +7745,477 @@ var Implements = (function () {
    */
   Implements.combine = combine;
 
+  /**
+   * match an implementation against an interface and throw an ImplementsError
+   * on mismatch, e.g.
+   * 
+   * var storage = Implements.assert(storageInterface, new Storage());
+   * 
+   * @param {Interface}
+   *          intf The interface to match against
+   * @param {object}
+   *          obj the supposed implementation of intf
+   * @param {string}
+   *          opts string of option characters (see match()) Default: ""
+   * @param {function,
+   *          Map} env (optional) the environment for Requires. See match()
+   * @returns {object} obj
+   */
+  Implements.assert = assert;
+
+  /**
+   * create a class decorator or higher-order function, which asserts that a
+   * class implements all given interfaces at definition time and records them
+   * for Implements.declared(), e.g.
+   * 
+   * Storage = Implements.implementing(openable, closable)(Storage);
+   * 
+   * @param {Interface}
+   *          arguments one or more interfaces
+   * @returns {function} a function which takes the class, throws an
+   *          ImplementsError on mismatch and returns the class otherwise
+   */
+  Implements.implementing = implementing;
+
+  /**
+   * list the interfaces a class or the class of an instance has declared via
+   * Implements.implementing(), including the ones of its superclasses
+   * 
+   * @param {object}
+   *          obj a class or an instance
+   * @returns {array} an array of interfaces
+   */
+  Implements.declared = declared;
+
+  /**
+   * The error class of Implements.assert(), Implements.implementing() and
+   * Implements.enforce(). Extends TypeError. The error records are available
+   * as .errors, the formatted string as .message
+   */
+  Implements.ImplementsError = ImplementsError;
+
+  /**
+   * wrap an implementation in a Proxy, which throws a TypeError when members
+   * are accessed which aren't declared in the interface or its Extends, and
+   * when declared members are reassigned to mismatching values.
+   * 
+   * @param {Interface}
+   *          intf The interface to enforce
+   * @param {object}
+   *          obj the implementation, which has to match intf
+   * @param {string}
+   *          opts string of option characters (see match()) Default: ""
+   * @param {function}
+   *          report (optional) receives an array of error records for each
+   *          violation instead of throwing
+   * @returns {Proxy} a Proxy around obj
+   */
+  Implements.enforce = enforce;
+
+  /**
+   * create a placeholder function with parameter and return types, e.g.
+   * 
+   * Implements.signature([ 'number', pointInterface ], 'string')
+   * 
+   * Each type is either a type name as returned by the typeof replacement
+   * (e.g. 'number', 'array', 'date'), 'any', or anything which is valid inside
+   * an Interface, like sub-interfaces and Interface arrays. The placeholder
+   * declares params.length parameters. Implements.enforce() checks every call,
+   * and placeholder.wrap(func, opts, report) returns a checked version of
+   * func.
+   * 
+   * @param {array}
+   *          params the parameter types
+   * @param {any}
+   *          result (optional) the return type. Unchecked if undefined
+   * @returns {function} a placeholder function
+   */
+  Implements.signature = signature;
+
+  /**
+   * register an interface by name. Names can be used instead of interfaces
+   * inside of Extends and Requires, and Implements.ref(name) everywhere else.
+   * They are resolved lazily, so interfaces can refer to each other before
+   * they are defined.
+   * 
+   * @param {string}
+   *          name a non-empty name
+   * @param {Interface}
+   *          intf the interface. Redefinition with another interface throws
+   * @returns {Interface} intf
+   */
+  Implements.define = define;
+
+  /**
+   * retrieve an interface which was registered with Implements.define()
+   * 
+   * @param {string}
+   *          name the name of the interface
+   * @returns {Interface} the interface or undefined if unregistered
+   */
+  Implements.get = getDefinition;
+
+  /**
+   * create a by-name reference to a registered interface, e.g. for
+   * sub-interfaces, Interface arrays and signatures, where strings are
+   * constants or type names
+   * 
+   * @param {string}
+   *          name the name of the interface
+   * @returns {object} the reference
+   */
+  Implements.ref = ref;
+
+  /**
+   * generate TypeScript declarations for an interface. Interface members
+   * become properties and methods, named Extends become extends clauses,
+   * anonymous Extends are inlined and array interfaces become union arrays.
+   * Global functions and constants become exported declarations, e.g.
+   * 
+   * Implements.toTypeScript(storageInterface, 'Storage')
+   * 
+   * @param {Interface}
+   *          intf the interface or its registered name
+   * @param {string}
+   *          name (optional) the name of the declared interface. Defaults to
+   *          the registered name of intf
+   * @returns {string} the declarations
+   */
+  Implements.toTypeScript = toTypeScript;
+
+  /**
+   * export the data members of an interface as a JSON Schema (draft 2020-12).
+   * Sub-interfaces become nested object schemas, Interface arrays anyOf item
+   * schemas and Extends allOf. Registered and recursive interfaces are moved
+   * to $defs and referred to via $ref. Functions are omitted.
+   * 
+   * @param {Interface}
+   *          intf the interface or its registered name
+   * @returns {object} the schema
+   */
+  Implements.toJSONSchema = toJSONSchema;
+
+  /**
+   * convert a JSON Schema (draft 2020-12) to an interface, which passes
+   * Implements.validate(). properties become members, and those which aren't
+   * required Implements.optional() members. allOf becomes Extends, anyOf of
+   * items becomes an array of alternatives and local $refs are resolved,
+   * including recursive ones.
+   * 
+   * @param {object}
+   *          schema a schema which describes an object or an array
+   * @returns {Interface} the interface
+   * @throws {ImplementsError}
+   *           with the error codes 'invalid-schema', 'unsupported-keyword',
+   *           'unsupported-type' and 'unsupported-reference'
+   */
+  Implements.fromJSONSchema = fromJSONSchema;
+
+  /**
+   * serialize an interface to a JSON string. Placeholders keep their kind,
+   * arity and signature, constants their types, accessors their getters and
+   * setters, and Extends, Requires, shared and recursive interfaces their
+   * structure. By-name references stay references.
+   * 
+   * @param {Interface}
+   *          intf the interface
+   * @returns {string} the JSON string
+   */
+  Implements.serialize = serialize;
+
+  /**
+   * restore an interface from Implements.serialize(), which matches the same
+   * implementations as the original. Placeholders are created with the
+   * Function constructor.
+   * 
+   * @param {string}
+   *          json the JSON string
+   * @returns {Interface} the interface
+   */
+  Implements.deserialize = deserialize;
+
+  /**
+   * list the changes between two versions of an interface, including the
+   * members of Extends, and classify each change by its impact:
+   * 
+   * 'implementation': breaks existing implementations, e.g. added members
+   * 
+   * 'consumer': breaks existing consumers, e.g. removed members
+   * 
+   * 'both': breaks both, e.g. retyped members
+   * 
+   * 'compatible': breaks neither, e.g. added constants
+   * 
+   * @param {Interface}
+   *          oldIntf the old interface or its registered name
+   * @param {Interface}
+   *          newIntf the new interface or its registered name
+   * @returns {object} { bump: 'major', 'minor', 'patch' or 'none', changes:
+   *          [{change, impact, path, message, before, after}, ...] }
+   */
+  Implements.diff = diff;
+
+  /**
+   * decide without any implementation, whether every implementation of sub
+   * which matches with the given options also matches intf, e.g.
+   * 
+   * Implements.isAssignable(readWriteInterface, readInterface) -> true
+   * 
+   * Sub needs all members of intf, with compatible types, arities and
+   * accessors. With option 'r', sub-interfaces need to be assignable and the
+   * array alternatives of sub need to be assignable to the ones of intf.
+   * Recursive interfaces are supported.
+   * 
+   * @param {Interface}
+   *          sub the sub interface or its registered name
+   * @param {Interface}
+   *          intf the super interface or its registered name
+   * @param {string}
+   *          opts string of option characters (see match()) Default: ""
+   * @returns {boolean} true if sub is assignable to intf
+   */
+  Implements.isAssignable = isAssignable;
+
+  /**
+   * Same as Implements.isAssignable(), but returns an array of error records,
+   * which explain why sub is not assignable to intf. See matchDetailed()
+   * 
+   * @param {Interface}
+   *          sub the sub interface or its registered name
+   * @param {Interface}
+   *          intf the super interface or its registered name
+   * @param {string}
+   *          opts string of option characters (see match()) Default: ""
+   * @returns {array} an array of error records. [] if assignable
+   */
+  Implements.isAssignableDetailed = isAssignableDetailed;
+
+  /**
+   * create a mock object, which matches intf recursively, for unit tests.
+   * Placeholders become spies with the same kind and arity, which record
+   * their calls in .calls, and return the value of .returns(value) or the
+   * result of .implement(func). Data members become type-appropriate
+   * defaults, and sub-interfaces nested mocks. Spies are created with the
+   * Function constructor.
+   * 
+   * @param {Interface}
+   *          intf the interface or its registered name
+   * @param {object}
+   *          overrides (optional) members which replace the defaults.
+   *          Functions become the implementation of the spies
+   * @returns {object} the mock
+   */
+  Implements.mock = mock;
+
+  /**
+   * create a seeded generator of random values for property-based tests.
+   * .generate() returns a value which matches intf with opts, and
+   * .generateInvalid() one which doesn't. .shrink(value) returns smaller
+   * variants of a value, which still match. .check(property, runs) tests a
+   * property with generated values and returns the first failure with its
+   * shrunk value, or undefined. Equal seeds generate equal sequences.
+   * 
+   * @param {Interface}
+   *          intf the interface or its registered name
+   * @param {number}
+   *          seed (optional) a 32 bit integer seed. Random if omitted. See
+   *          .seed
+   * @param {string}
+   *          opts (optional) string of option characters for the matches of
+   *          .generate(), .generateInvalid(), .shrink() and .check(). See
+   *          matchInterface(). Default: "r"
+   * @returns {object} the generator
+   */
+  Implements.arbitrary = arbitrary;
+
+  /**
+   * mark a member of an Interface object as optional. Optional members may be
+   * missing or undefined, but are type-checked and recursed into otherwise.
+   * Accessors can't be optional.
+   * 
+   * @param {any}
+   *          member the interface member
+   * @returns {object} the optional member
+   */
+  Implements.optional = optional;
+
+  /**
+   * create a member with alternative types, e.g. a string or a number. Unlike
+   * the alternatives of an Interface array, which describe elements, the value
+   * of the member has to match one of them. The errors of the closest
+   * alternative are reported otherwise. null matches null.
+   * 
+   * @param {any}
+   *          arguments one or more alternatives
+   * @returns {object} the member
+   */
+  Implements.oneOf = oneOf;
+
+  /**
+   * create a member which may also be null. Same as oneOf(member, null)
+   * 
+   * @param {any}
+   *          member the member
+   * @returns {object} the member
+   */
+  Implements.nullable = nullable;
+
+  /**
+   * register a custom type, e.g. for uuid strings or BigInts. Members of the
+   * type match values which the predicate accepts. Registered names are also
+   * valid type names in signatures. Options:
+   * 
+   * typeScript: the TypeScript type. Default: "any"
+   * 
+   * jsonSchema: the JSON Schema. Default: {}
+   * 
+   * sample: a function which creates a value of the type from a function
+   * which returns random numbers in [0, 1), for mock() and arbitrary()
+   * 
+   * @param {string}
+   *          name the name of the type
+   * @param {function}
+   *          predicate a function which returns true for values of the type
+   * @param {object}
+   *          options (optional) export hints and a sample function
+   * @returns {object} a member of the type
+   */
+  Implements.registerType = registerType;
+
+  /**
+   * create a member of a registered custom type. Unregistered types are
+   * reported as 'unknown-type'
+   * 
+   * @param {string}
+   *          name the name of the type
+   * @returns {object} the member
+   */
+  Implements.type = customType;
+
+  /**
+   * create a string member whose content has to match a regexp. Unlike a
+   * regexp member, which requires a regexp, the implementation has to be a
+   * matching string. Without an example, mock() uses '' and arbitrary() tries
+   * random strings
+   * 
+   * @param {RegExp}
+   *          regexp the pattern
+   * @param {string}
+   *          example (optional) a matching string
+   * @returns {object} the member
+   */
+  Implements.pattern = pattern;
+
+  /**
+   * create a member which only matches the exact value, e.g. for
+   * discriminator fields and enums with oneOf(). Other numbers, strings and
+   * booleans of an Interface only describe their type. NaN matches NaN
+   * 
+   * @param {any}
+   *          value a number, string or boolean
+   * @returns {object} the member
+   * @throws {TypeError}
+   *           for other values
+   */
+  Implements.literal = literal;
+
+  /**
+   * create an array member with positional element types, e.g.
+   * 
+   * Implements.tuple(0, 0, Implements.optional(''), Implements.rest(true))
+   * 
+   * for [x, y, label?, ...flags]. Only optional() elements may follow
+   * optional() elements. Arrays are matched against tuples with 'r', or as
+   * tuple interfaces, {Interface: Implements.tuple(...)}
+   * 
+   * @param {any}
+   *          arguments the element members
+   * @returns {object} the member
+   * @throws {TypeError}
+   *           if the rest element isn't the last one or a required element
+   *           follows an optional one
+   */
+  Implements.tuple = tuple;
+
+  /**
+   * create the rest element of a tuple, i.e. the member of all elements beyond
+   * the positional ones. Invalid outside of tuple(), which is reported as
+   * 'invalid-rest'
+   * 
+   * @param {any}
+   *          member the member of the rest elements
+   * @returns {object} the rest element
+   */
+  Implements.rest = rest;
+
   Implements.selfInterface = {
     Interface : {
       validate : function () {
       },
+      validateDetailed : function () {
+      },
       match : function () {
       },
+      matchDetailed : function () {
+      },
       combine : function () {
       },
+      enforce : function () {
+      },
+      signature : function () {
+      },
+      assert : function () {
+      },
+      implementing : function () {
+      },
+      declared : function () {
+      },
+      ImplementsError : function () {
+      },
+      define : function () {
+      },
+      get : function () {
+      },
+      ref : function () {
+      },
+      toTypeScript : function () {
+      },
+      toJSONSchema : function () {
+      },
+      fromJSONSchema : function () {
+      },
+      serialize : function () {
+      },
+      deserialize : function () {
+      },
+      diff : function () {
+      },
+      isAssignable : function () {
+      },
+      isAssignableDetailed : function () {
+      },
+      mock : function () {
+      },
+      arbitrary : function () {
+      },
+      optional : function () {
+      },
+      oneOf : function () {
+      },
+      nullable : function () {
+      },
+      registerType : function () {
+      },
+      type : function () {
+      },
+      pattern : function () {
+      },
+      literal : function () {
+      },
+      tuple : function () {
+      },
+      rest : function () {
+      },
       selfInterface : {
         Interface : {}
       }
@@ -1002,3 +8227,8 @@ var Implements = (function () {
 
   return Implements;
 })();
+
+// CommonJS, e.g. for bin/implements-ts.js
+if (typeof module === 'object' && module.exports) {
+  module.exports = Implements;
+}
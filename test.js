@@ -714,3 +714,2890 @@ QUnit.test("Interface Implementation Matcher", function () {
 
   QUnit.notEqual(Implements(intf, obj, 'r'), '', "interface object subarray shorthand: wrong element type");
 });
+
+QUnit.test("Structured Errors", function () {
+  var intf, obj, err;
+
+  intf = {
+    Interface : {
+      asd : function () {
+      },
+      dsa : 5
+    }
+  };
+
+  QUnit.deepEqual(Implements.validateDetailed(intf), [], "validateDetailed: valid interface");
+  QUnit.deepEqual(Implements.matchDetailed(intf, {
+    asd : function () {
+    },
+    dsa : 6
+  }), [], "matchDetailed: valid implementation");
+
+  obj = {
+    dsa : "5",
+    extra : 1
+  };
+
+  err = Implements.matchDetailed(intf, obj, 'm');
+  QUnit.equal(err.length, 3, "matchDetailed: number of errors");
+  QUnit.equal(err[0].code, 'missing-key', "missing-key code");
+  QUnit.equal(err[0].path, 'Interface.asd', "missing-key path");
+  QUnit.equal(err[0].expected, 'function', "missing-key expected type");
+  QUnit.equal(err[1].code, 'extra-member', "extra-member code");
+  QUnit.equal(err[2].code, 'type-mismatch', "type-mismatch code");
+  QUnit.equal(err[2].expected, 'number', "type-mismatch expected type");
+  QUnit.equal(err[2].actual, 'string', "type-mismatch actual type");
+  QUnit.strictEqual(err[2].intf, intf, "originating interface");
+
+  QUnit.equal(Implements.match(intf, obj, 'm'), [
+      '1 Interface.asd: ' + err[0].message, '1 Interface.extra: ' + err[1].message,
+      '1 Interface.dsa: ' + err[2].message ].join('\n'), "match() is derived from matchDetailed()");
+
+  QUnit.equal(Implements.matchDetailed(intf, obj, 'x')[0].code, 'invalid-option', "invalid-option code");
+  QUnit.equal(Implements.matchDetailed(undefined, obj)[0].code, 'no-interface', "no-interface code");
+
+  intf = {
+    Interface : {
+      sub : {
+        Interface : {}
+      }
+    },
+    asd : 5
+  };
+  intf.Interface.sub.Interface.arr = [ 5 ];
+  intf.Interface.sub.Interface.arr[2] = 6;
+
+  err = Implements.validateDetailed(intf);
+  QUnit.deepEqual(err.map(function (error) {
+    return error.code;
+  }), [ 'non-compact-array', 'invalid-global-function' ], "validateDetailed: error codes");
+  QUnit.strictEqual(err[0].intf, intf.Interface.sub, "validateDetailed: innermost originating interface");
+  QUnit.strictEqual(err[1].intf, intf, "validateDetailed: outer originating interface");
+
+  err = Implements.validateDetailed({
+    Interface : {},
+    CONSTANT : {
+      lower : 1
+    }
+  });
+  QUnit.equal(err[0].code, 'invalid-constant-name', "invalid-constant-name code");
+  QUnit.equal(Implements.validate({
+    Interface : {},
+    CONSTANT : {
+      lower : 1
+    }
+  }), err[0].depth + ' CONSTANT.lower: ' + err[0].message, "validate() is derived from validateDetailed()");
+});
+
+QUnit.test("Error Paths", function () {
+  var intf, obj, err;
+
+  intf = {
+    Interface : {
+      storage : {
+        Interface : {
+          backend : [ {
+            Interface : {
+              open : function () {
+              }
+            }
+          }, 5 ]
+        }
+      }
+    }
+  };
+
+  obj = {
+    storage : {
+      backend : [ 1, 2, {
+        open : 5
+      } ]
+    }
+  };
+
+  err = Implements.matchDetailed(intf, obj, 'r');
+  QUnit.equal(err.length, 1, "nested array element mismatch");
+  QUnit.equal(err[0].path, 'Interface.storage.Interface.backend[2]', "path of array element");
+
+  obj.storage.backend[2] = {
+    open : function () {
+    }
+  };
+  obj.storage.x = 5;
+  intf.Interface.storage.Interface.x = 'string';
+
+  err = Implements.matchDetailed(intf, obj, 'r');
+  QUnit.equal(err.length, 1, "nested type mismatch");
+  QUnit.equal(err[0].path, 'Interface.storage.Interface.x', "path of nested member");
+  QUnit.equal(Implements.match(intf, obj, 'r'), '2 Interface.storage.Interface.x: type mismatch of x: number != string',
+      "path in error string");
+
+  intf = {
+    Interface : [ {
+      Interface : {
+        open : function () {
+        }
+      }
+    } ]
+  };
+
+  err = [];
+  Implements.matchDetailed({
+    Interface : {
+      sub : intf
+    }
+  }, {
+    sub : [ {
+      open : 5
+    } ]
+  }, 'r').forEach(function (error) {
+    err.push(error.path);
+  });
+  QUnit.deepEqual(err, [ 'Interface.sub.Interface[0]' ], "path of array interface elements");
+
+  intf = {
+    Interface : {
+      sub : {
+        Interface : [ 5, undefined ]
+      }
+    },
+    Extends : [ {
+      Interface : {
+        asd : {}
+      }
+    } ],
+    CONSTANT : [ 0, {
+      lower : 5
+    } ]
+  };
+
+  err = [];
+  Implements.validateDetailed(intf).forEach(function (error) {
+    err.push(error.path);
+  });
+  QUnit.deepEqual(err, [ 'Interface.sub.Interface[1]', 'Extends[0].Interface.asd', 'CONSTANT[1].lower' ],
+      "validation paths");
+});
+
+QUnit.test("Function Arity", function () {
+  var intf, obj, err;
+
+  intf = {
+    Interface : {
+      open : function (path, mode) {
+      }
+    }
+  };
+
+  obj = {
+    open : function (path) {
+    }
+  };
+
+  QUnit.equal(Implements(intf, obj), '', "arity is ignored by default");
+  QUnit.notEqual(Implements(intf, obj, 'a'), '', "option 'a': too few parameters");
+  QUnit.notEqual(Implements(intf, obj, 'A'), '', "option 'A': too few parameters");
+
+  err = Implements.matchDetailed(intf, obj, 'a');
+  QUnit.equal(err[0].code, 'arity-mismatch', "arity-mismatch code");
+  QUnit.equal(err[0].path, 'Interface.open', "arity-mismatch path");
+  QUnit.equal(err[0].expected, '2', "arity-mismatch expected arity");
+  QUnit.equal(err[0].actual, '1', "arity-mismatch actual arity");
+
+  obj.open = function (path, mode) {
+  };
+  QUnit.equal(Implements(intf, obj, 'a'), '', "option 'a': same parameters");
+  QUnit.equal(Implements(intf, obj, 'A'), '', "option 'A': same parameters");
+
+  obj.open = function (path, mode, flags) {
+  };
+  QUnit.equal(Implements(intf, obj, 'a'), '', "option 'a': additional parameters");
+  QUnit.notEqual(Implements(intf, obj, 'A'), '', "option 'A': additional parameters");
+
+  obj.open = function (path, mode = 'r') {
+  };
+  QUnit.equal(obj.open.length, 1, "Function.length ignores default parameters");
+  QUnit.equal(Implements(intf, obj, 'A'), '', "option 'A': default parameters");
+
+  obj.open = function (path, ...args) {
+  };
+  QUnit.equal(Implements(intf, obj, 'a'), '', "option 'a': rest parameter");
+  QUnit.notEqual(Implements(intf, obj, 'A'), '', "option 'A': rest parameter");
+
+  intf.Interface.open = function (path, ...args) {
+  };
+  obj.open = function (path, mode) {
+  };
+  QUnit.notEqual(Implements(intf, obj, 'a'), '', "option 'a': rest parameter in the interface only");
+
+  obj.open = (path, ...rest) => rest;
+  QUnit.equal(Implements(intf, obj, 'A'), '', "option 'A': rest parameters on both sides");
+
+  intf = {
+    Interface : {
+      sub : {
+        Interface : {
+          close : function (force) {
+          }
+        }
+      }
+    }
+  };
+  obj = {
+    sub : {
+      close : function () {
+      }
+    }
+  };
+  QUnit.equal(Implements(intf, obj, 'a'), '', "option 'a' without recursion");
+  QUnit.equal(Implements.matchDetailed(intf, obj, 'ra')[0].path, 'Interface.sub.Interface.close',
+      "option 'a' with recursion");
+});
+
+QUnit.test("Requires Environment", function () {
+  var intf, storage, logger, obj, env, err;
+
+  storage = {
+    Interface : {
+      open : function () {
+      }
+    }
+  };
+
+  logger = {
+    Interface : {
+      log : function () {
+      }
+    }
+  };
+
+  intf = {
+    Interface : {
+      run : function () {
+      }
+    },
+    Requires : [ storage ],
+    Extends : [ {
+      Interface : {},
+      Requires : [ logger ]
+    } ]
+  };
+
+  obj = {
+    run : function () {
+    }
+  };
+
+  env = new Map();
+
+  QUnit.equal(Implements(intf, obj), '', "Requires are ignored without environment");
+  QUnit.equal(Implements(intf, obj, '', function (required) {
+    return required === storage ? {
+      open : function () {
+      }
+    } : {
+      log : function () {
+      }
+    };
+  }), '', "resolver function");
+
+  err = Implements.matchDetailed(intf, obj, '', env);
+  QUnit.deepEqual(err.map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'missing-dependency Requires[0]', 'missing-dependency Extends[0].Requires[0]' ], "missing dependencies");
+  QUnit.strictEqual(err[0].intf, intf, "missing dependency is attributed to the requiring interface");
+  QUnit.strictEqual(err[1].intf, intf.Extends[0], "missing dependency is attributed to the extended interface");
+
+  env.set(storage, {
+    open : 5
+  });
+  env.set(logger, {
+    log : function () {
+    }
+  });
+
+  err = Implements.matchDetailed(intf, obj, '', env);
+  QUnit.equal(err.length, 1, "Map environment");
+  QUnit.equal(err[0].code, 'type-mismatch', "dependency mismatch");
+  QUnit.equal(err[0].path, 'Requires[0].Interface.open', "dependency mismatch path");
+  QUnit.strictEqual(err[0].intf, intf, "dependency mismatch is attributed to the requiring interface");
+
+  env.get(storage).open = function () {
+  };
+  QUnit.equal(Implements.match(intf, obj, '', env), '', "valid dependencies");
+
+  storage.Requires = [ storage, logger ];
+  QUnit.equal(Implements.match(intf, obj, '', env), '', "recursive Requires");
+
+  env.get(logger).extra = 5;
+  QUnit.notEqual(Implements.match(intf, obj, 'm', env), '', "options apply to dependencies");
+
+  QUnit.equal(Implements.matchDetailed(intf, obj, '', 5)[0].code, 'invalid-environment', "invalid environment");
+});
+
+QUnit.test("ES2015 Classes", function () {
+  var intf, A, B, C, obj;
+
+  intf = {
+    Interface : {
+      a : function () {
+      },
+      b : function () {
+      }
+    }
+  };
+
+  A = class {
+    a () {
+    }
+  };
+
+  B = class extends A {
+    b () {
+    }
+  };
+
+  C = class extends B {
+    c () {
+    }
+  };
+
+  QUnit.notEqual(Implements(intf, A), '', "class with missing method");
+  QUnit.equal(Implements(intf, B), '', "class with inherited method");
+  QUnit.equal(Implements(intf, new B()), '', "instance with inherited method");
+  QUnit.equal(Implements(intf, C), '', "multi-level inheritance: class");
+  QUnit.equal(Implements(intf, new C()), '', "multi-level inheritance: instance");
+  QUnit.notEqual(Implements(intf, C, 'f'), '', "multi-level inheritance: extra function");
+  QUnit.equal(Implements(intf, B, 'fm'), '', "constructor and Object.prototype are skipped");
+
+  obj = new B();
+  obj.x = 5;
+  QUnit.equal(Implements(intf, obj, 'f'), '', "instance with own member");
+  QUnit.notEqual(Implements(intf, obj, 'm'), '', "instance with own member: option 'm'");
+
+  obj = Object.create(null);
+  obj.a = function () {
+  };
+  obj.b = function () {
+  };
+  QUnit.equal(Implements(intf, obj, 'fm'), '', "object without prototype");
+
+  intf.Interface.b = 5;
+  QUnit.notEqual(Implements(intf, C), '', "inherited method type mismatch");
+});
+
+QUnit.test("Accessors", function () {
+  var intf, obj, Obj, err, calls;
+
+  intf = {
+    Interface : {
+      get size () {
+      },
+      set name (value) {
+      },
+      get value () {
+      },
+      set value (value) {
+      }
+    }
+  };
+
+  QUnit.equal(Implements(intf), '', "accessors are valid interface members");
+
+  calls = 0;
+  obj = {
+    get size () {
+      calls += 1;
+      return 5;
+    },
+    set name (value) {
+    },
+    get value () {
+      calls += 1;
+      return 5;
+    },
+    set value (value) {
+    }
+  };
+
+  QUnit.equal(Implements(intf, obj, 'irfm'), '', "object with accessors");
+  QUnit.equal(calls, 0, "getters aren't called");
+
+  Obj = class {
+    get size () {
+      return 5;
+    }
+    set name (value) {
+    }
+    get value () {
+      return 5;
+    }
+    set value (value) {
+    }
+  };
+
+  QUnit.equal(Implements(intf, Obj), '', "class with accessors");
+  QUnit.equal(Implements(intf, new (class extends Obj {})()), '', "instance with inherited accessors");
+
+  obj = {
+    size : 5,
+    name : 'name',
+    get value () {
+      return 5;
+    }
+  };
+
+  err = Implements.matchDetailed(intf, obj).sort(function (a, b) {
+    return a.path < b.path ? -1 : 1;
+  });
+  QUnit.deepEqual(err.map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'missing-setter Interface.name', 'missing-getter Interface.size', 'missing-setter Interface.value' ],
+      "data members don't satisfy accessors");
+  QUnit.equal(err[1].message, 'expected getter for size', "missing getter message");
+  QUnit.equal(err[2].expected, 'accessor', "read-write accessor type");
+  QUnit.equal(err[2].actual, 'getter', "read-only accessor type");
+
+  intf = {
+    Interface : {
+      size : 5,
+      clear : function () {
+      }
+    }
+  };
+
+  calls = 0;
+  obj = {
+    get size () {
+      calls += 1;
+      return 'five';
+    },
+    set clear (value) {
+    }
+  };
+
+  err = Implements.matchDetailed(intf, obj, 'r');
+  QUnit.equal(calls, 0, "getters aren't called for data members");
+  QUnit.equal(err.length, 1, "getters satisfy data members");
+  QUnit.equal(err[0].actual, 'setter', "setters don't satisfy data members");
+});
+
+QUnit.test("Symbol Keys", function () {
+  var intf, obj, Obj, err, registered;
+
+  registered = Symbol.for('implements.test');
+
+  intf = {
+    Interface : {
+      [Symbol.iterator] : function () {
+      },
+      [Symbol.asyncIterator] : function () {
+      },
+      [registered] : 5,
+      size : 0
+    }
+  };
+
+  QUnit.equal(Implements(intf), '', "symbol keys in an interface");
+
+  obj = {
+    [Symbol.iterator] : function () {
+    },
+    [Symbol.asyncIterator] : function () {
+    },
+    [registered] : 6,
+    size : 1
+  };
+
+  QUnit.equal(Implements(intf, obj, 'fm'), '', "object with symbol keys");
+
+  Obj = class {
+    [Symbol.iterator] () {
+    }
+    [Symbol.asyncIterator] () {
+    }
+    get size () {
+      return 0;
+    }
+  };
+  Obj.prototype[registered] = 7;
+
+  QUnit.equal(Implements(intf, Obj, 'fm'), '', "class with symbol methods");
+  QUnit.equal(Implements(intf, new (class extends Obj {})(), 'fm'), '', "instance with inherited symbol methods");
+
+  delete obj[Symbol.iterator];
+  obj[registered] = 'six';
+  obj[Symbol('extra')] = 1;
+
+  err = Implements.matchDetailed(intf, obj, 'm');
+  QUnit.deepEqual(err.map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'missing-key Interface[Symbol(Symbol.iterator)]', 'extra-member Interface[Symbol(extra)]',
+      'type-mismatch Interface[Symbol(implements.test)]' ], "symbol keys in errors");
+  QUnit.equal(err[0].message, 'missing key: Symbol(Symbol.iterator)', "symbol key in error message");
+
+  intf.Interface[Symbol.toStringTag] = {};
+  QUnit.equal(Implements.validateDetailed(intf)[0].path, 'Interface[Symbol(Symbol.toStringTag)]',
+      "symbol keys are validated");
+
+  intf = {
+    Interface : {}
+  };
+  Object.defineProperty(intf.Interface, Symbol.iterator, {
+    value : function () {
+    }
+  });
+  QUnit.equal(Implements(intf, {}), '', "non-enumerable symbols in an interface are ignored");
+});
+
+QUnit.test("Function Kinds", function () {
+  var intf, obj, err;
+
+  intf = {
+    Interface : {
+      load : async function () {
+      },
+      entries : function* () {
+      },
+      stream : async function* () {
+      },
+      run : function () {
+      }
+    },
+    globalLoader : async function () {
+    }
+  };
+
+  QUnit.equal(Implements(intf), '', "async and generator placeholders are valid");
+
+  obj = {
+    load : async function () {
+    },
+    entries : function* () {
+    },
+    stream : async function* () {
+    },
+    run : function () {
+    }
+  };
+
+  QUnit.equal(Implements(intf, obj, 'k'), '', "option 'k': exact function kinds");
+  QUnit.equal(Implements(intf, obj, 'fmk'), '', "option 'k': async functions count as functions");
+
+  obj = {
+    load : function () {
+      return Promise.resolve();
+    },
+    entries : () => [],
+    stream : function () {
+    },
+    run : async () => undefined
+  };
+
+  QUnit.equal(Implements(intf, obj), '', "relaxed by default: any function matches");
+
+  err = Implements.matchDetailed(intf, obj, 'k');
+  QUnit.equal(err.length, 4, "option 'k': mismatching function kinds");
+  QUnit.deepEqual(err.map(function (error) {
+    return error.path + ' ' + error.actual + ' != ' + error.expected;
+  }), [ 'Interface.entries function != generatorfunction', 'Interface.load function != asyncfunction',
+      'Interface.run asyncfunction != function', 'Interface.stream function != asyncgeneratorfunction' ],
+      "option 'k': error records");
+
+  obj.entries = 5;
+  QUnit.notEqual(Implements(intf, obj), '', "non-functions still mismatch");
+
+  intf = {
+    Interface : [ async function () {
+    } ]
+  };
+  QUnit.equal(Implements(intf, [ function () {
+  } ]), '', "array alternatives: relaxed function kinds");
+  QUnit.notEqual(Implements(intf, [ function () {
+  } ], 'k'), '', "array alternatives: option 'k'");
+});
+
+QUnit.test("Enforce", function () {
+  var intf, obj, proxy, reported, Obj;
+
+  intf = {
+    Interface : {
+      size : 0,
+      open : function () {
+      }
+    },
+    Extends : [ {
+      Interface : {
+        close : function () {
+        }
+      }
+    } ]
+  };
+
+  Obj = class {
+    constructor () {
+      this.size = 0;
+      this.internal = 1;
+    }
+    open () {
+      return this.internal;
+    }
+    close () {
+    }
+    hidden () {
+    }
+  };
+
+  obj = new Obj();
+  proxy = Implements.enforce(intf, obj);
+
+  QUnit.equal(proxy.size, 0, "declared member");
+  QUnit.equal(proxy.open(), 1, "declared method with access to undeclared members");
+  QUnit.strictEqual(proxy.open, proxy.open, "bound methods are cached");
+  proxy.close();
+  QUnit.ok(true, "method declared in Extends");
+  QUnit.equal(String(proxy), '[object Object]', "string conversion");
+  QUnit.equal(JSON.stringify(proxy), '{"size":0}', "JSON conversion");
+  QUnit.deepEqual(Object.keys(proxy), [ 'size' ], "undeclared members are hidden");
+  QUnit.ok('size' in proxy && 'open' in proxy, "in operator for declared members");
+  QUnit.ok(!('internal' in proxy) && !('hidden' in proxy), "in operator for undeclared members");
+  QUnit.strictEqual(Object.getOwnPropertyDescriptor(proxy, 'internal'), undefined, "undeclared descriptor");
+
+  QUnit.throws(function () {
+    return proxy.hidden;
+  }, TypeError, "undeclared method");
+  QUnit.throws(function () {
+    return proxy.internal;
+  }, TypeError, "undeclared member");
+  QUnit.throws(function () {
+    proxy.other = 5;
+  }, TypeError, "assignment to undeclared member");
+  QUnit.throws(function () {
+    proxy.size = 'large';
+  }, TypeError, "assignment of the wrong type");
+  QUnit.equal(obj.size, 0, "failed assignments don't change the implementation");
+
+  proxy.size = 5;
+  QUnit.equal(obj.size, 5, "valid assignment");
+
+  QUnit.throws(function () {
+    Implements.enforce(intf, {});
+  }, TypeError, "mismatching implementation");
+  QUnit.throws(function () {
+    Implements.enforce({
+      Interface : [ 5 ]
+    }, [ 5 ]);
+  }, TypeError, "array interface");
+
+  reported = [];
+  proxy = Implements.enforce(intf, {
+    size : 0
+  }, '', function (err) {
+    reported = reported.concat(err);
+  });
+  QUnit.deepEqual(reported.map(function (error) {
+    return error.code;
+  }), [ 'missing-key', 'missing-key' ], "report function: initial match");
+
+  reported = [];
+  proxy.size = 'large';
+  QUnit.equal(proxy.size, 'large', "report function: assignment proceeds");
+  QUnit.equal(proxy.hidden, undefined, "report function: access proceeds");
+  QUnit.deepEqual(reported.map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'type-mismatch Interface.size', 'undeclared-member Interface.hidden' ], "report function: violations");
+  QUnit.strictEqual(reported[1].intf, intf, "report function: originating interface");
+
+  obj = Object.freeze({
+    size : 0,
+    open : function () {
+      return this.size;
+    },
+    close : function () {
+    },
+    secret : 1
+  });
+  proxy = Implements.enforce(intf, obj);
+  QUnit.strictEqual(proxy.open, obj.open, "frozen method is not bound");
+  QUnit.equal(proxy.size, 0, "frozen member");
+  QUnit.strictEqual(Reflect.set(proxy, 'size', 3), false, "frozen assignment fails");
+  QUnit.equal(obj.size, 0, "frozen member is unchanged");
+  QUnit.ok('secret' in proxy, "frozen members can't be hidden");
+  QUnit.deepEqual(Object.keys(proxy), [ 'size', 'open', 'close', 'secret' ], "frozen keys");
+});
+
+QUnit.test("Signatures", function () {
+  var pointIntf, intf, obj, proxy, reported, placeholder, method, error;
+
+  pointIntf = {
+    Interface : {
+      x : 0,
+      y : 0
+    }
+  };
+  intf = {
+    Interface : {
+      distance : Implements.signature([ pointIntf, pointIntf ], 'number'),
+      label : Implements.signature([ 'any', 'string' ]),
+      broken : Implements.signature([], 'number')
+    }
+  };
+  obj = {
+    distance : function (a, b) {
+      return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+    },
+    label : function (value, prefix) {
+      return prefix + value;
+    },
+    broken : function () {
+      return 'not a number';
+    }
+  };
+
+  placeholder = Implements.signature([ 'number', 'string' ]);
+  QUnit.equal(placeholder.length, 2, "placeholder length");
+  QUnit.deepEqual(Object.keys(placeholder), [], "signature is not enumerable");
+  QUnit.throws(function () {
+    Implements.signature('number');
+  }, TypeError, "params must be an array");
+
+  QUnit.equal(Implements.validate(intf), '', "valid signatures");
+  QUnit.deepEqual(Implements.validateDetailed({
+    Interface : {
+      open : Implements.signature([ 'Number', {} ], 'in valid')
+    }
+  }).map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'invalid-signature Interface.open.params[0]', 'missing-interface Interface.open.params[1]',
+      'invalid-signature Interface.open.result' ], "invalid signatures");
+
+  QUnit.equal(Implements.match(intf, obj, 'A'), '', "plain match");
+  QUnit.equal(Implements.match(intf, {
+    distance : function (a) {
+    },
+    label : function (value, prefix) {
+    },
+    broken : function () {
+    }
+  }, 'a'), '1 Interface.distance: arity mismatch of distance: 1 < 2', "signature arity");
+
+  proxy = Implements.enforce(intf, obj);
+  QUnit.equal(proxy.distance({
+    x : 0,
+    y : 0
+  }, {
+    x : 3,
+    y : 4
+  }), 5, "valid call");
+  QUnit.strictEqual(proxy.distance, proxy.distance, "wrappers are cached");
+  QUnit.equal(proxy.label(5, '#'), '#5', "'any' parameter and unchecked result");
+  QUnit.throws(function () {
+    proxy.distance({
+      x : 0
+    }, {
+      x : 3,
+      y : 4
+    });
+  }, TypeError, "missing key in structured argument");
+  QUnit.throws(function () {
+    proxy.label(5, 6);
+  }, TypeError, "argument type mismatch");
+  QUnit.throws(function () {
+    proxy.distance({
+      x : 0,
+      y : 0
+    });
+  }, TypeError, "missing argument");
+  QUnit.throws(function () {
+    proxy.broken();
+  }, TypeError, "result type mismatch");
+
+  reported = [];
+  proxy = Implements.enforce(intf, obj, '', function (err) {
+    reported = reported.concat(err);
+  });
+  QUnit.equal(proxy.label(5, 6), 11, "report function: call proceeds");
+  QUnit.equal(proxy.broken(), 'not a number', "report function: result is returned");
+  proxy.distance({
+    x : 0,
+    y : 'zero'
+  }, {
+    x : 3,
+    y : 4
+  });
+  QUnit.deepEqual(reported.map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'type-mismatch Interface.label.params[1]', 'type-mismatch Interface.broken.result',
+      'type-mismatch Interface.distance.params[0].Interface.y' ], "report function: violations");
+  QUnit.equal(reported[0].message, 'type mismatch of label parameter 1: number != string',
+      "report function: message");
+
+  QUnit.throws(function () {
+    Implements.enforce(intf, obj, 'x', function () {
+    }).label(5, '#');
+  }, Implements.ImplementsError, "invalid options");
+  QUnit.equal(Implements.validate({
+    Interface : {
+      open : Implements.signature([ 'strng' ])
+    }
+  }), "2 Interface.open.params[0]: invalid type name in signature: strng", "unknown type name");
+
+  placeholder = Implements.signature([ 'number', 'number' ], 'number');
+  method = placeholder.wrap(function add (a, b) {
+    return a + b;
+  });
+  QUnit.equal(method(1, 2), 3, "standalone wrapper");
+  try {
+    method(1, '2');
+  } catch (e) {
+    error = e;
+  }
+  QUnit.deepEqual(error.errors.map(function (error) {
+    return error.path + ' ' + error.message;
+  }), [ 'add.params[1] type mismatch of add parameter 1: string != number' ], "standalone wrapper mismatch");
+  QUnit.throws(function () {
+    placeholder.wrap(5);
+  }, TypeError, "standalone wrapper of no function");
+});
+
+QUnit.test("Assertions", function () {
+  var openable, closable, Storage, TempStorage, storage, error;
+
+  openable = {
+    Interface : {
+      open : function () {
+      }
+    }
+  };
+  closable = {
+    Interface : {
+      close : function () {
+      }
+    }
+  };
+
+  storage = {
+    open : function () {
+    }
+  };
+  QUnit.strictEqual(Implements.assert(openable, storage), storage, "assert returns the implementation");
+
+  try {
+    Implements.assert(closable, storage);
+  } catch (e) {
+    error = e;
+  }
+  QUnit.ok(error instanceof Implements.ImplementsError, "assert throws an ImplementsError");
+  QUnit.ok(error instanceof TypeError, "ImplementsError extends TypeError");
+  QUnit.equal(error.name, 'ImplementsError', "error name");
+  QUnit.equal(error.message, '1 Interface.close: missing key: close', "error message");
+  QUnit.deepEqual(error.errors.map(function (err) {
+    return err.code;
+  }), [ 'missing-key' ], "error records");
+  QUnit.throws(function () {
+    Implements.assert(openable, {
+      open : 5
+    }, 'x');
+  }, Implements.ImplementsError, "invalid options");
+
+  Storage = class {
+    open () {
+    }
+
+    close () {
+    }
+  };
+  QUnit.strictEqual(Implements.implementing(openable, closable)(Storage), Storage,
+      "implementing returns the class");
+  QUnit.deepEqual(Implements.declared(Storage), [ openable, closable ], "declared interfaces");
+  QUnit.deepEqual(Implements.declared(new Storage()), [ openable, closable ], "declared interfaces of an instance");
+
+  TempStorage = Implements.implementing(closable)(class extends Storage {
+  });
+  QUnit.deepEqual(Implements.declared(TempStorage), [ closable, openable ], "inherited declarations");
+  QUnit.deepEqual(Implements.declared(class {
+  }), [], "no declarations");
+  QUnit.deepEqual(Implements.declared({}), [], "plain object");
+
+  QUnit.throws(function () {
+    Implements.implementing(openable, closable)(class {
+      open () {
+      }
+    });
+  }, Implements.ImplementsError, "mismatching class");
+  QUnit.throws(function () {
+    Implements.implementing(openable)({
+      open : function () {
+      }
+    });
+  }, TypeError, "no class");
+});
+
+QUnit.test("Named Interfaces", function () {
+  var tree, node, leaf, file, env;
+
+  // mutually recursive interfaces, defined before their dependencies
+  tree = Implements.define('registry.Tree', {
+    Interface : {
+      root : Implements.ref('registry.Node'),
+      nodes : [ Implements.ref('registry.Node') ]
+    },
+    Requires : [ 'registry.File' ]
+  });
+  node = Implements.define('registry.Node', {
+    Interface : {
+      tree : Implements.ref('registry.Tree'),
+      name : ''
+    }
+  });
+  leaf = Implements.define('registry.Leaf', {
+    Interface : {
+      value : 0
+    },
+    Extends : [ 'registry.Node' ]
+  });
+
+  QUnit.strictEqual(Implements.get('registry.Tree'), tree, "get");
+  QUnit.strictEqual(Implements.get('registry.Unknown'), undefined, "get unknown name");
+  QUnit.strictEqual(Implements.define('registry.Tree', tree), tree, "redefinition of the same interface");
+  QUnit.throws(function () {
+    Implements.define('registry.Tree', {
+      Interface : {}
+    });
+  }, TypeError, "redefinition of another interface");
+  QUnit.throws(function () {
+    Implements.define('', tree);
+  }, TypeError, "empty name");
+  QUnit.throws(function () {
+    Implements.ref(5);
+  }, TypeError, "invalid reference");
+
+  QUnit.deepEqual(Implements.validateDetailed(tree).map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'unresolved-name Requires[0]' ], "unresolved name");
+
+  file = Implements.define('registry.File', {
+    Interface : {
+      open : function () {
+      }
+    }
+  });
+  QUnit.equal(Implements.validate(tree), '', "lazy resolution");
+  QUnit.equal(Implements.validate(leaf), '', "named Extends");
+  QUnit.deepEqual(Implements.validateDetailed({
+    Interface : {
+      a : Implements.ref('registry.Unknown'),
+      b : [ 5, Implements.ref('registry.Unknown') ]
+    },
+    Extends : [ 'registry.Unknown' ]
+  }).map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'unresolved-name Interface.a', 'unresolved-name Interface.b[1]', 'unresolved-name Extends[0]' ],
+      "unresolved names");
+
+  node = {
+    name : 'root'
+  };
+  node.tree = {
+    root : node,
+    nodes : [ node ]
+  };
+  QUnit.equal(Implements.match(tree, node.tree, 'r'), '', "recursive match");
+  node.tree.nodes.push({
+    tree : node.tree
+  });
+  QUnit.equal(Implements.match(tree, node.tree, 'r'),
+      "2 Interface.nodes[1]: Interface array doesn't contain match for element at index 1: [object Object]",
+      "recursive mismatch");
+
+  QUnit.equal(Implements.match(leaf, {
+    value : 5,
+    name : 'leaf'
+  }), '1 Interface.tree: missing key: tree', "named Extends match");
+  QUnit.equal(Implements.match('registry.Leaf', {
+    value : 5,
+    name : 'leaf'
+  }), '1 Interface.tree: missing key: tree', "match by name");
+  QUnit.deepEqual(Implements.matchDetailed('registry.Unknown', {}).map(function (error) {
+    return error.code + ' ' + error.actual;
+  }), [ 'unresolved-name registry.Unknown' ], "match by unresolved name");
+  QUnit.equal(Implements.enforce('registry.Leaf', {
+    value : 5,
+    name : 'leaf',
+    tree : {}
+  }).value, 5, "enforce by name");
+  QUnit.throws(function () {
+    Implements.enforce('registry.Unknown', {});
+  }, TypeError, "enforce by unresolved name");
+  QUnit.deepEqual(Implements.matchDetailed({
+    Interface : {
+      a : Implements.ref('registry.Leaf')
+    },
+    Extends : [ 'registry.Unknown', {
+      Interface : {},
+      Extends : [ Implements.ref('registry.Unknown') ]
+    } ]
+  }, {
+    a : {
+      value : 5,
+      name : 'leaf',
+      tree : {}
+    }
+  }).map(function (error) {
+    return error.code + ' ' + error.path;
+  }), [ 'unresolved-name Extends[0]', 'unresolved-name Extends[1].Extends[0]' ],
+      "unresolved Extends in match");
+
+  env = new Map([ [ 'registry.File', {
+    open : function () {
+    }
+  } ] ]);
+  QUnit.equal(Implements.match(tree, {
+    root : {},
+    nodes : []
+  }, '', env), '', "environment keyed by name");
+  env = new Map([ [ file, {} ] ]);
+  QUnit.equal(Implements.match(tree, {
+    root : {},
+    nodes : []
+  }, '', env), '1 Requires[0].Interface.open: missing key: open', "environment keyed by interface");
+});
+
+QUnit.test("TypeScript Declarations", function () {
+  var point, intf, node;
+
+  point = Implements.define('typescript.Point', {
+    Interface : {
+      x : 0,
+      y : 0
+    }
+  });
+  intf = {
+    Interface : {
+      open : function (path, mode) {
+      },
+      close : function (force = false, ...rest) {
+      },
+      load : async function () {
+      },
+      distance : Implements.signature([ point, 'number' ], 'string'),
+      origin : point,
+      name : '',
+      'file-name' : '',
+      created : new Date(0),
+      options : {
+        Interface : {
+          recursive : true
+        }
+      },
+      values : [ 1, 'one' ],
+      entries : {
+        Interface : [ Implements.ref('typescript.Point') ]
+      },
+      get size () {
+      },
+      [Symbol.iterator] : function* () {
+      }
+    },
+    Extends : [ 'typescript.Point', {
+      Interface : {
+        z : 0
+      }
+    } ],
+    create : function (path) {
+    },
+    MODES : {
+      READ : 'r',
+      WRITE : 'w'
+    }
+  };
+
+  QUnit.equal(Implements.toTypeScript(intf, 'Storage'), [ 'export interface Storage extends typescript_Point {',
+      '  open(arg0: any, arg1: any): any;', '  close(arg0?: any, ...args: any[]): any;', '  load(): Promise<any>;',
+      '  distance(arg0: typescript_Point, arg1: number): string;', '  origin: typescript_Point;', '  name: string;',
+      '  "file-name": string;', '  created: Date;', '  options: {', '    recursive: boolean;', '  };',
+      '  values: (number | string)[];', '  entries: typescript_Point[];', '  readonly size: any;',
+      '  [Symbol.iterator](): Generator<any>;', '  z: number;', '}',
+      'export declare function create(arg0: any): any;',
+      'export declare const MODES: { READ: string; WRITE: string };', '' ].join('\n'), "interface declaration");
+  QUnit.equal(Implements.toTypeScript('typescript.Point'), [ 'export interface typescript_Point {', '  x: number;',
+      '  y: number;', '}', '' ].join('\n'), "registered name");
+  QUnit.equal(Implements.toTypeScript({
+    Interface : [ 5, /a/ ]
+  }, 'Values'), 'export type Values = (number | RegExp)[];\n', "array interface");
+
+  node = {
+    Interface : {
+      value : 0,
+      next : null,
+      kids : [],
+      parent : Implements.optional(null)
+    }
+  };
+  node.Interface.next = node;
+  node.Interface.kids = [ node ];
+  node.Interface.parent = Implements.optional({
+    Interface : {
+      root : node
+    }
+  });
+  QUnit.equal(Implements.toTypeScript(node, 'Node'), [ 'export interface Node {', '  value: number;', '  next: Node;',
+      '  kids: Node[];', '  parent?: {', '    root: Node;', '  };', '}', '' ].join('\n'), "recursive interface");
+  QUnit.throws(function () {
+    Implements.toTypeScript({
+      Interface : {}
+    });
+  }, TypeError, "missing name");
+});
+
+QUnit.test("JSON Schema", function () {
+  var point, list, intf, schema;
+
+  point = Implements.define('jsonschema.Point', {
+    Interface : {
+      x : 0,
+      y : 0
+    }
+  });
+  list = {
+    Interface : {
+      value : 0,
+      next : null
+    }
+  };
+  list.Interface.next = list;
+
+  intf = {
+    Interface : {
+      name : '',
+      active : true,
+      created : new Date(0),
+      pattern : /a/,
+      origin : point,
+      list : list,
+      values : {
+        Interface : [ 1, 'one', point ]
+      },
+      options : {
+        Interface : {
+          recursive : true
+        }
+      },
+      open : function () {
+      },
+      get size () {
+      }
+    },
+    Extends : [ 'jsonschema.Point' ]
+  };
+  intf.Interface.parent = intf;
+
+  schema = Implements.toJSONSchema(intf);
+  QUnit.deepEqual(schema, {
+    $schema : 'https://json-schema.org/draft/2020-12/schema',
+    allOf : [ {
+      $ref : '#/$defs/jsonschema.Point'
+    } ],
+    type : 'object',
+    properties : {
+      name : {
+        type : 'string'
+      },
+      active : {
+        type : 'boolean'
+      },
+      created : {
+        type : 'string',
+        format : 'date-time'
+      },
+      pattern : {
+        type : 'string',
+        format : 'regex'
+      },
+      origin : {
+        $ref : '#/$defs/jsonschema.Point'
+      },
+      list : {
+        $ref : '#/$defs/Interface1'
+      },
+      values : {
+        type : 'array',
+        items : {
+          anyOf : [ {
+            type : 'number'
+          }, {
+            type : 'string'
+          }, {
+            $ref : '#/$defs/jsonschema.Point'
+          } ]
+        }
+      },
+      options : {
+        type : 'object',
+        properties : {
+          recursive : {
+            type : 'boolean'
+          }
+        },
+        required : [ 'recursive' ]
+      },
+      size : {
+        readOnly : true
+      },
+      parent : {
+        $ref : '#'
+      }
+    },
+    required : [ 'name', 'active', 'created', 'pattern', 'origin', 'list', 'values', 'options', 'size', 'parent' ],
+    $defs : {
+      'jsonschema.Point' : {
+        type : 'object',
+        properties : {
+          x : {
+            type : 'number'
+          },
+          y : {
+            type : 'number'
+          }
+        },
+        required : [ 'x', 'y' ]
+      },
+      Interface1 : {
+        type : 'object',
+        properties : {
+          value : {
+            type : 'number'
+          },
+          next : {
+            $ref : '#/$defs/Interface1'
+          }
+        },
+        required : [ 'value', 'next' ]
+      }
+    }
+  }, "schema");
+
+  QUnit.deepEqual(Implements.toJSONSchema({
+    Interface : [ 1, [ 'a' ] ]
+  }), {
+    $schema : 'https://json-schema.org/draft/2020-12/schema',
+    type : 'array',
+    items : {
+      anyOf : [ {
+        type : 'number'
+      }, {
+        type : 'array',
+        items : {
+          type : 'string'
+        }
+      } ]
+    }
+  }, "array interface");
+
+  QUnit.throws(function () {
+    Implements.toJSONSchema({
+      Interface : {
+        a : Implements.ref('jsonschema.Unknown')
+      }
+    });
+  }, TypeError, "unresolved name");
+});
+
+QUnit.test("JSON Schema Import", function () {
+  var schema, intf, list, file, error;
+
+  schema = {
+    $schema : 'https://json-schema.org/draft/2020-12/schema',
+    title : 'File',
+    type : 'object',
+    properties : {
+      name : {
+        type : 'string'
+      },
+      size : {
+        type : 'integer'
+      },
+      modified : {
+        type : 'string',
+        format : 'date-time'
+      },
+      hidden : {
+        type : 'boolean'
+      },
+      comment : {
+        type : 'string'
+      },
+      tags : {
+        type : 'array',
+        items : {
+          anyOf : [ {
+            type : 'string'
+          }, {
+            $ref : '#/$defs/Tag'
+          } ]
+        }
+      },
+      parent : {
+        $ref : '#'
+      },
+      history : {
+        $ref : '#/$defs/List'
+      }
+    },
+    required : [ 'name', 'size', 'modified', 'hidden', 'tags', 'parent', 'history' ],
+    allOf : [ {
+      $ref : '#/$defs/Tag'
+    } ],
+    $defs : {
+      Tag : {
+        properties : {
+          label : {
+            type : 'string'
+          }
+        },
+        required : [ 'label' ]
+      },
+      List : {
+        type : 'object',
+        properties : {
+          next : {
+            $ref : '#/$defs/List'
+          }
+        },
+        required : [ 'next' ]
+      }
+    }
+  };
+
+  intf = Implements.fromJSONSchema(schema);
+  QUnit.equal(Implements.validate(intf), '', "valid interface");
+  QUnit.deepEqual(Object.keys(intf.Interface), [ 'name', 'size', 'modified', 'hidden', 'comment', 'tags', 'parent',
+      'history' ], "all properties");
+  QUnit.equal(Implements.toTypeScript(intf, 'File').indexOf('  comment?: string;') !== -1, true,
+      "optional property");
+  QUnit.strictEqual(intf.Interface.parent, intf, "recursion via #");
+  QUnit.strictEqual(intf.Interface.history.Interface.next, intf.Interface.history, "recursion via $defs");
+  QUnit.strictEqual(intf.Extends[0], intf.Interface.tags[1], "shared definitions");
+
+  list = {};
+  list.next = list;
+  file = {
+    label : 'file',
+    name : 'file.txt',
+    size : 5,
+    modified : new Date(),
+    hidden : false,
+    tags : [ 'text', {
+      label : 'important'
+    } ],
+    history : list
+  };
+  file.parent = file;
+  QUnit.equal(Implements.match(intf, file, 'r'), '', "match");
+  file.tags.push(5);
+  QUnit.equal(Implements.match(intf, file, 'r'),
+      "2 Interface.tags[2]: Interface array doesn't contain match for element at index 2: 5", "mismatch");
+
+  list = {
+    Interface : {
+      next : null
+    }
+  };
+  list.Interface.next = list;
+  QUnit.equal(Implements.validate(Implements.fromJSONSchema(Implements.toJSONSchema(list))), '', "round trip");
+  QUnit.deepEqual(Implements.fromJSONSchema({
+    type : 'array',
+    items : {
+      type : 'number'
+    }
+  }), {
+    Interface : [ 0 ]
+  }, "array schema");
+
+  try {
+    Implements.fromJSONSchema({
+      type : 'object',
+      properties : {
+        a : {
+          type : 'number',
+          minimum : 0
+        },
+        b : {
+          anyOf : [ {
+            type : 'number'
+          }, {
+            type : 'string'
+          } ]
+        },
+        c : {
+          type : [ 'string', 'null' ]
+        },
+        d : {
+          $ref : 'http://example.com/schema'
+        },
+        e : {
+          type : 'array'
+        }
+      },
+      required : [ 'a', 'b', 'c', 'd', 'e' ],
+      additionalProperties : false
+    });
+  } catch (e) {
+    error = e;
+  }
+  QUnit.ok(error instanceof Implements.ImplementsError, "unsupported schema throws an ImplementsError");
+  QUnit.deepEqual(error.errors.map(function (err) {
+    return err.code + ' ' + err.path;
+  }), [ 'unsupported-keyword additionalProperties', 'unsupported-keyword properties.a.minimum',
+      'unsupported-type properties.c.type', 'unsupported-reference properties.d.$ref',
+      'unsupported-type properties.e' ], "error records");
+  QUnit.throws(function () {
+    Implements.fromJSONSchema({
+      type : 'string'
+    });
+  }, Implements.ImplementsError, "neither object nor array");
+
+  intf = Implements.fromJSONSchema(JSON.parse('{"type": "object", "properties": {"__proto__": {"type": "number"}}, '
+      + '"required": ["__proto__"]}'));
+  QUnit.strictEqual(Object.getPrototypeOf(intf.Interface), Object.prototype, "__proto__ property keeps the prototype");
+  QUnit.deepEqual(Object.keys(intf.Interface), [ '__proto__' ], "__proto__ property");
+  QUnit.equal(Implements.match(intf, JSON.parse('{"__proto__": 5}')), '', "__proto__ match");
+  QUnit.equal(Implements.match(intf, {}), '1 Interface.__proto__: missing key: __proto__', "__proto__ mismatch");
+  error = undefined;
+  try {
+    Implements.fromJSONSchema({
+      type : 'object',
+      properties : {
+        a : {
+          type : 'number'
+        }
+      },
+      required : [ 'a', 'b' ]
+    });
+  } catch (e) {
+    error = e;
+  }
+  QUnit.deepEqual(error.errors.map(function (err) {
+    return err.code + ' ' + err.path;
+  }), [ 'unsupported-keyword required[1]' ], "required name without property");
+});
+
+QUnit.test("Serialization", function () {
+  var base, intf, copy, json, impls;
+
+  Implements.define('serialization.File', {
+    Interface : {
+      name : ''
+    }
+  });
+  base = {
+    Interface : {
+      close : function () {
+      }
+    }
+  };
+  intf = {
+    Interface : {
+      open : function (path, mode = 'r', ...rest) {
+      },
+      load : async function (path) {
+      },
+      [Symbol.iterator] : function* () {
+      },
+      [Symbol['for']('serialization.key')] : 0,
+      get size () {
+      },
+      distance : Implements.signature([ base, 'number' ], 'string'),
+      created : new Date(5),
+      pattern : /a+/gi,
+      values : [ 1, 'one', [ true ] ],
+      file : Implements.ref('serialization.File'),
+      parent : null
+    },
+    Extends : [ base ],
+    Requires : [ base ],
+    CONSTANTS : {
+      CREATED : new Date(7),
+      PATTERN : /b/m,
+      LIMIT : Infinity
+    },
+    create : function (a, b) {
+    }
+  };
+  intf.Interface.parent = intf;
+
+  json = Implements.serialize(intf);
+  QUnit.equal(typeof json, 'string', "serialize returns a string");
+  copy = Implements.deserialize(json);
+
+  QUnit.equal(Implements.validate(copy), '', "valid copy");
+  QUnit.equal(Implements.serialize(copy), json, "stable round trip");
+  QUnit.strictEqual(copy.Interface.parent, copy, "cycles");
+  QUnit.strictEqual(copy.Extends[0], copy.Requires[0], "shared interfaces");
+  QUnit.equal(copy.Interface.created.getTime(), 5, "dates");
+  QUnit.equal(String(copy.Interface.pattern), '/a+/gi', "regexps");
+  QUnit.equal(copy.CONSTANTS.LIMIT, Infinity, "non-finite numbers");
+  QUnit.equal(Implements.toTypeScript(copy, 'Copy'), Implements.toTypeScript(intf, 'Copy'), "same declarations");
+
+  impls = [ {}, {
+    open : function (path, mode, ...rest) {
+    },
+    load : async function (path) {
+    },
+    [Symbol.iterator] : function* () {
+    },
+    [Symbol['for']('serialization.key')] : 5,
+    get size () {
+      return 0;
+    },
+    distance : function (a, b) {
+    },
+    created : new Date(),
+    pattern : /c/,
+    values : [ 2, 'two', [ false ] ],
+    file : {},
+    parent : {},
+    close : function () {
+    }
+  }, {
+    open : function (path) {
+    },
+    load : function (path) {
+    },
+    [Symbol.iterator] : function () {
+    },
+    [Symbol['for']('serialization.key')] : '5',
+    size : 5,
+    distance : function () {
+    },
+    created : 5,
+    pattern : '/c/',
+    values : [ null ],
+    file : {},
+    parent : {},
+    close : 5
+  } ];
+  impls.forEach(function (impl, index) {
+    [ '', 'r', 'ak', 'A', 'fm' ].forEach(function (opts) {
+      QUnit.equal(Implements.match(copy, impl, opts), Implements.match(intf, impl, opts), [
+          "same matches: implementation ", index, ", options '", opts, "'" ].join(''));
+    });
+  });
+
+  QUnit.throws(function () {
+    Implements.serialize({
+      Interface : {
+        [Symbol('unique')] : 5
+      }
+    });
+  }, TypeError, "unique symbols");
+  QUnit.throws(function () {
+    Implements.deserialize('{}');
+  }, TypeError, "no serialized interface");
+});
+
+QUnit.test("Interface Diff", function () {
+  var base, before, after, result;
+
+  function summary (changes) {
+    return changes.map(function (change) {
+      return [ change.impact, change.change, change.path ].join(' ');
+    });
+  }
+
+  base = {
+    Interface : {
+      close : function () {
+      }
+    }
+  };
+  before = {
+    Interface : {
+      open : function (path) {
+      },
+      read : function (count, ...rest) {
+      },
+      load : async function () {
+      },
+      size : 0,
+      get name () {
+      },
+      items : [ 1, {
+        Interface : {
+          id : 0
+        }
+      } ]
+    },
+    Extends : [ base ],
+    LIMIT : 5,
+    MODES : {
+      READ : 'r'
+    }
+  };
+  after = {
+    Interface : {
+      open : function (path, mode = 'r') {
+      },
+      read : function (count) {
+      },
+      load : function () {
+      },
+      size : 0,
+      get name () {
+      },
+      set name (value) {
+      },
+      items : [ 'one', {
+        Interface : {
+          id : 0,
+          label : ''
+        }
+      } ],
+      write : function () {
+      }
+    },
+    LIMIT : 5,
+    MODES : {
+      READ : 'rb'
+    },
+    VERSION : 2
+  };
+
+  result = Implements.diff(before, after);
+  QUnit.deepEqual(summary(result.changes), [ 'consumer constant-changed MODES', 'compatible constant-added VERSION',
+      'consumer removed Interface.close', 'implementation added Interface.write',
+      'implementation alternative-removed Interface.items', 'implementation added Interface.items[1].Interface.label',
+      'consumer alternative-added Interface.items', 'both retyped Interface.load',
+      'implementation accessor Interface.name', 'implementation arity Interface.open',
+      'consumer arity Interface.read' ], "changes");
+  QUnit.equal(result.bump, 'major', "breaking changes");
+  QUnit.equal(result.changes[9].message, 'changed arity of open: 1 -> 2', "message");
+  QUnit.equal(result.changes[9].before, '1', "before");
+  QUnit.equal(result.changes[9].after, '2', "after");
+
+  QUnit.deepEqual(Implements.diff(before, before), {
+    bump : 'none',
+    changes : []
+  }, "no changes");
+  QUnit.equal(Implements.diff(before, {
+    Interface : before.Interface,
+    Extends : [ base ],
+    LIMIT : 5,
+    MODES : before.MODES,
+    VERSION : 2
+  }).bump, 'minor', "compatible addition");
+  QUnit.equal(Implements.diff({
+    Interface : {
+      open : function (path, mode) {
+      }
+    }
+  }, {
+    Interface : {
+      open : function (path) {
+      }
+    }
+  }).bump, 'patch', "compatible change");
+
+  Implements.define('diff.Storage', base);
+  result = Implements.diff({
+    Interface : {},
+    Requires : [ 'diff.Storage', before ]
+  }, {
+    Interface : {},
+    Requires : [ base ],
+    Extends : [ {
+      Interface : {},
+      Requires : [ after ]
+    } ]
+  });
+  QUnit.deepEqual(summary(result.changes), [ 'compatible requirement-removed Requires[1]',
+      'consumer requirement-added Extends[0].Requires[0]' ], "requirements");
+  QUnit.equal(result.bump, 'major', "added requirement");
+  QUnit.equal(result.changes[0].message, 'removed requirement: Requires[1]', "requirement message");
+  QUnit.equal(Implements.diff({
+    Interface : {},
+    Requires : [ base ]
+  }, {
+    Interface : {}
+  }).bump, 'patch', "removed requirement");
+});
+
+QUnit.test("Assignability", function () {
+  var readable, writable, file, list, stream, errors;
+
+  function summary (err) {
+    return err.map(function (error) {
+      return [ error.code, error.path ].join(' ');
+    });
+  }
+
+  readable = {
+    Interface : {
+      read : function (count) {
+      },
+      get size () {
+      },
+      position : 0,
+      chunks : [ '', {
+        Interface : {
+          data : ''
+        }
+      } ]
+    }
+  };
+  writable = {
+    Interface : {
+      write : function (data) {
+      }
+    }
+  };
+  file = {
+    Interface : {
+      read : function (count, offset) {
+      },
+      get size () {
+      },
+      set size (value) {
+      },
+      position : 0,
+      chunks : [ {
+        Interface : {
+          data : '',
+          offset : 0
+        }
+      } ],
+      name : ''
+    },
+    Extends : [ writable ]
+  };
+
+  QUnit.ok(Implements.isAssignable(file, readable, 'ra'), "sub interface");
+  QUnit.ok(Implements.isAssignable(file, writable), "Extends");
+  QUnit.ok(!Implements.isAssignable(readable, file), "super interface");
+  QUnit.deepEqual(summary(Implements.isAssignableDetailed(readable, file, 'r')), [
+      'missing-key Interface.name', 'missing-key Interface.write', 'no-array-match Interface.chunks[0]',
+      'no-array-match Interface.chunks[1]', 'missing-setter Interface.size' ], "explanation");
+  QUnit.deepEqual(summary(Implements.isAssignableDetailed(file, readable, 'rfm')), [ 'extra-member Interface.name',
+      'extra-function Interface.write', 'no-array-match Interface.chunks[0]' ], "extra members");
+  QUnit.deepEqual(summary(Implements.isAssignableDetailed({
+    Interface : {
+      read : function () {
+      },
+      size : 0,
+      position : '0',
+      chunks : []
+    }
+  }, readable, 'a')), [ 'type-mismatch Interface.position', 'arity-mismatch Interface.read',
+      'missing-getter Interface.size' ], "members");
+
+  list = {
+    Interface : {
+      value : 0
+    }
+  };
+  list.Interface.next = list;
+  stream = {
+    Interface : {
+      value : 0,
+      name : ''
+    }
+  };
+  stream.Interface.next = stream;
+  QUnit.ok(Implements.isAssignable(stream, list, 'r'), "recursive interfaces");
+  QUnit.ok(!Implements.isAssignable(list, stream, 'r'), "recursive interfaces, reversed");
+
+  QUnit.ok(Implements.isAssignable({
+    Interface : [ 1, 'one' ]
+  }, {
+    Interface : [ 'two', 2, true ]
+  }), "array interfaces");
+  errors = Implements.isAssignableDetailed({
+    Interface : [ 1, /a/ ]
+  }, {
+    Interface : [ 2 ]
+  });
+  QUnit.deepEqual(summary(errors), [ 'no-array-match Interface[1]' ], "array interface mismatch");
+  QUnit.equal(errors[0].message, "Interface array doesn't contain match for alternative at index 1: regexp",
+      "array interface message");
+  QUnit.deepEqual(summary(Implements.isAssignableDetailed(file, readable, 'x')), [ 'invalid-option ' ],
+      "invalid options");
+});
+
+QUnit.test("Mocks", function () {
+  var closable, intf, obj, result, entries;
+
+  closable = {
+    Interface : {
+      close : function () {
+      }
+    }
+  };
+  intf = {
+    Interface : {
+      open : function (path, mode = 'r') {
+      },
+      load : async function (path) {
+      },
+      entries : function* () {
+      },
+      distance : Implements.signature([ 'number' ], 'number'),
+      size : 5,
+      name : 'file',
+      hidden : true,
+      created : new Date(),
+      pattern : /a/,
+      tags : [ 'tag' ],
+      options : {
+        Interface : {
+          recursive : true
+        }
+      },
+      get length () {
+      },
+      set label (value) {
+      },
+      [Symbol.iterator] : function () {
+      }
+    },
+    Extends : [ closable ]
+  };
+  intf.Interface.parent = intf;
+
+  obj = Implements.mock(intf);
+  QUnit.equal(Implements.match(intf, obj, 'rAkfm'), '', "mock matches");
+  QUnit.strictEqual(obj.size, 0, "number default");
+  QUnit.strictEqual(obj.name, '', "string default");
+  QUnit.strictEqual(obj.hidden, false, "boolean default");
+  QUnit.deepEqual(obj.tags, [], "array default");
+  QUnit.strictEqual(obj.options.recursive, false, "nested mock");
+  QUnit.strictEqual(obj.parent, obj, "recursive mock");
+  QUnit.equal(typeof obj.close, 'function', "Extends");
+  QUnit.strictEqual(obj.distance(5), 0, "signature default");
+
+  QUnit.strictEqual(obj.open('a.txt'), undefined, "default return value");
+  QUnit.strictEqual(obj.open.returns(5), obj.open, "returns() chains");
+  QUnit.equal(obj.open('b.txt', 'w'), 5, "programmed return value");
+  QUnit.deepEqual(obj.open.calls.map(function (call) {
+    return call.args;
+  }), [ [ 'a.txt' ], [ 'b.txt', 'w' ] ], "recorded arguments");
+  QUnit.strictEqual(obj.open.calls[1].thisArg, obj, "recorded this");
+  QUnit.equal(obj.open.calls[1].result, 5, "recorded result");
+
+  obj.open.implement(function (path) {
+    throw new Error(path);
+  });
+  QUnit.throws(function () {
+    obj.open('c.txt');
+  }, Error, "implementation");
+  QUnit.equal(obj.open.calls[2].error.message, 'c.txt', "recorded error");
+  QUnit.equal(obj.open.reset().calls.length, 0, "reset");
+
+  QUnit.ok(obj.load() instanceof Promise, "async spy");
+  obj.entries.returns([ 1, 2 ]);
+  entries = [];
+  for (result of obj.entries()) {
+    entries.push(result);
+  }
+  QUnit.deepEqual(entries, [ 1, 2 ], "generator spy");
+  obj.entries.reset();
+  result = obj.entries();
+  QUnit.equal(obj.entries.calls.length, 1, "generator spy records before iterating");
+  QUnit.deepEqual(result.next(), {
+    value : 1,
+    done : false
+  }, "generator spy delegates");
+  obj.entries.returns(5);
+  QUnit.deepEqual(obj.entries().next(), {
+    value : 5,
+    done : true
+  }, "non-iterable generator result");
+  obj.entries.implement(function () {
+    throw new Error('entries');
+  });
+  result = obj.entries();
+  QUnit.equal(obj.entries.calls[2].error.message, 'entries', "generator spy records errors before iterating");
+  QUnit.throws(function () {
+    result.next();
+  }, /entries/, "generator spy throws on iteration");
+  QUnit.equal(Implements.match(intf, obj, 'rAkfm'), '', "generator spy keeps its kind");
+
+  obj.label = 'x';
+  QUnit.equal(Object.getOwnPropertyDescriptor(obj, 'label').get, undefined, "setter");
+
+  obj = Implements.mock(intf, {
+    size : 7,
+    open : function (path) {
+      return path.length;
+    },
+    extra : true
+  });
+  QUnit.equal(obj.size, 7, "override");
+  QUnit.equal(obj.open('abc'), 3, "overridden implementation");
+  QUnit.equal(obj.open.calls.length, 1, "overridden implementation is spied");
+  QUnit.strictEqual(obj.extra, true, "additional member");
+  QUnit.throws(function () {
+    Implements.mock({
+      Interface : [ 5 ]
+    });
+  }, TypeError, "array interface");
+});
+
+QUnit.test("Arbitrary Values", function () {
+  var intf, list, nested, gen, seed, values, index, failure;
+
+  list = {
+    Interface : [ 5 ]
+  };
+  intf = {
+    Interface : {
+      name : "",
+      size : 5,
+      created : new Date(),
+      pattern : /./,
+      open : function (path, mode) {
+      },
+      load : async function () {
+      },
+      options : {
+        Interface : {
+          recursive : false
+        }
+      },
+      items : [ 5, "", list ],
+      get label () {
+      }
+    }
+  };
+  intf.Interface.parent = intf;
+
+  gen = Implements.arbitrary(intf, 42);
+  QUnit.equal(gen.seed, 42, "seed");
+  for (index = 0; index < 50; index += 1) {
+    QUnit.equal(Implements.match(intf, gen.generate(), 'rAk'), '', [
+        "generated value matches, #", index ].join(''));
+  }
+  for (index = 0; index < 50; index += 1) {
+    QUnit.notEqual(Implements.match(intf, gen.generateInvalid(), 'r'), '', [
+        "invalid value doesn't match, #", index ].join(''));
+  }
+
+  values = [ Implements.arbitrary(intf, 7).generate(),
+      Implements.arbitrary(intf, 7).generate() ];
+  QUnit.equal(values[0].size, values[1].size, "equal seeds, equal values");
+  QUnit.deepEqual(values[0].items, values[1].items, "equal seeds, equal arrays");
+  seed = Implements.arbitrary(list).seed;
+  QUnit.equal(typeof seed, 'number', "random seed");
+
+  gen = Implements.arbitrary(list, 3);
+  QUnit.deepEqual(gen.shrink([ 3, 4 ]), [ [], [ 3 ], [ 4 ], [ 3 ], [ 0, 4 ],
+      [ 1, 4 ], [ 2, 4 ], [ 3, 0 ], [ 3, 2 ], [ 3, 3 ] ], "shrink array");
+  QUnit.deepEqual(gen.shrink([ 3, 'a' ]), [ [], [ 3 ], [ 3 ] ], "only matching variants");
+  QUnit.deepEqual(Implements.arbitrary({
+    Interface : {
+      size : 5,
+      name : ""
+    }
+  }, 3).shrink({
+    size : 10,
+    name : "abcd"
+  }), [ {
+    size : 0,
+    name : "abcd"
+  }, {
+    size : 5,
+    name : "abcd"
+  }, {
+    size : 9,
+    name : "abcd"
+  }, {
+    size : 10,
+    name : ""
+  }, {
+    size : 10,
+    name : "ab"
+  }, {
+    size : 10,
+    name : "abc"
+  } ], "shrink object");
+
+  failure = gen.check(function (array) {
+    return array.every(function (number) {
+      return number < 100;
+    });
+  }, 1000);
+  QUnit.ok(failure, "failing property");
+  QUnit.deepEqual(failure.shrunk, [ 100 ], "shrunk failure");
+  QUnit.equal(Implements.match(list, failure.value), '', "failing value matches");
+  QUnit.strictEqual(Implements.arbitrary(list, 3).check(function (array) {
+    return Array.isArray(array);
+  }, 20), undefined, "property holds");
+
+  QUnit.equal(Implements.match({
+    Interface : {
+      items : [ list ]
+    }
+  }, {
+    items : [ [ 1 ], [] ]
+  }, 'r'), '', "array interface as array alternative");
+
+  gen = Implements.arbitrary(intf, 42, '');
+  for (index = 0; index < 50; index += 1) {
+    QUnit.notEqual(Implements.match(intf, gen.generateInvalid()), '', [
+        "invalid value doesn't match without 'r', #", index ].join(''));
+  }
+
+  nested = {
+    Interface : {
+      sub : {
+        Interface : {
+          id : Implements.pattern(/^a+$/, 'a')
+        }
+      }
+    }
+  };
+  QUnit.equal(Implements.arbitrary(nested, 5).check(function () {
+    return false;
+  }).shrunk.sub.id, 'a', "shrunk within the options");
+  QUnit.equal(Implements.arbitrary(nested, 5, '').check(function () {
+    return false;
+  }).shrunk.sub.id, '', "shrunk without 'r'");
+
+  QUnit.throws(function () {
+    Implements.arbitrary(5);
+  }, TypeError, "no interface");
+  QUnit.throws(function () {
+    Implements.arbitrary(list, 1, 'x');
+  }, TypeError, "invalid options");
+});
+
+QUnit.test("Optional Members", function () {
+  var intf, obj, intf2, result;
+
+  intf = {
+    Interface : {
+      read : function (count) {
+      },
+      dispose : Implements.optional(function () {
+      }),
+      options : Implements.optional({
+        Interface : {
+          recursive : false
+        }
+      })
+    }
+  };
+
+  QUnit.equal(Implements.validate(intf), '', "valid interface");
+  QUnit.equal(Implements.validate({
+    Interface : [ Implements.optional(5) ]
+  }), '2 Interface[0]: optional member outside of an Interface object', "optional array element");
+  QUnit.deepEqual(Implements.validateDetailed({
+    Interface : {},
+    LIMIT : Implements.optional(5),
+    MODES : {
+      READ : Implements.optional('r')
+    }
+  }).map(function (error) {
+    return error.code + ' ' + error.path + ': ' + error.message;
+  }), [ 'invalid-optional LIMIT: optional constant outside of an Interface object',
+      'invalid-optional MODES.READ: optional constant outside of an Interface object' ], "optional constants");
+  QUnit.equal(Implements.validate({
+    Interface : {
+      options : Implements.optional({
+        Interface : 5
+      })
+    }
+  }), "3 Interface.options.Interface: invalid type for intf.Interface: number", "optional members are validated");
+
+  obj = {
+    read : function (count) {
+    }
+  };
+  QUnit.equal(Implements.match(intf, obj, 'r'), '', "missing optional members");
+  obj.dispose = undefined;
+  QUnit.equal(Implements.match(intf, obj, 'r'), '', "undefined optional member");
+  obj.dispose = 5;
+  QUnit.equal(Implements.match(intf, obj, 'r'),
+      '1 Interface.dispose: type mismatch of dispose: number != function', "type-checked");
+  obj.dispose = function () {
+  };
+  obj.options = {};
+  QUnit.equal(Implements.match(intf, obj, 'r'), '2 Interface.options.Interface.recursive: missing key: recursive',
+      "recursed into");
+  QUnit.equal(Implements.match(intf, obj), '', "not recursed into without 'r'");
+
+  QUnit.equal(Implements.toTypeScript(intf, 'Reader'), [ 'export interface Reader {', '  read(arg0: any): any;',
+      '  dispose?(): any;', '  options?: {', '    recursive: boolean;', '  };', '}', '' ].join('\n'), "TypeScript");
+  QUnit.deepEqual(Implements.toJSONSchema(intf).required, undefined, "JSON Schema");
+  QUnit.equal(Implements.diff(Implements.deserialize(Implements.serialize(intf)), intf).bump, 'none',
+      "serialization roundtrip");
+
+  intf2 = {
+    Interface : {
+      read : function (count) {
+      },
+      dispose : function () {
+      }
+    }
+  };
+  result = Implements.diff(intf, intf2);
+  QUnit.deepEqual(result.changes.map(function (change) {
+    return [ change.change, change.impact ].join(' ');
+  }), [ 'removed compatible', 'required implementation' ], "diff");
+  QUnit.equal(Implements.diff(intf2, intf).bump, 'major', "optional members break consumers");
+
+  QUnit.equal(Implements.isAssignable(intf2, intf, 'r'), true, "required members are assignable to optional ones");
+  QUnit.deepEqual(Implements.isAssignableDetailed(intf, intf2, 'r').map(function (error) {
+    return error.message;
+  }), [ 'optional key: dispose' ], "optional members aren't assignable to required ones");
+
+  obj = Implements.mock(intf);
+  QUnit.equal(typeof obj.dispose.calls, 'object', "mocked");
+  obj = Implements.arbitrary(intf, 1);
+  for (result = 0; result < 20; result += 1) {
+    QUnit.equal(Implements.match(intf, obj.generate(), 'r'), '', "generated");
+    QUnit.notEqual(Implements.match(intf, obj.generateInvalid(), 'r'), '', "generated invalid");
+  }
+});
+
+QUnit.test("Union Members", function () {
+  var intf, file, obj, gen, index, result;
+
+  file = {
+    Interface : {
+      name : "",
+      size : 5
+    }
+  };
+  intf = {
+    Interface : {
+      id : Implements.oneOf("", 5),
+      parent : Implements.nullable(file),
+      handler : Implements.oneOf(function (event) {
+      }, {
+        Interface : {
+          handleEvent : function (event) {
+          }
+        }
+      }),
+      items : [ Implements.oneOf(5, null) ]
+    }
+  };
+
+  QUnit.equal(Implements.validate(intf), '', "valid interface");
+  QUnit.equal(Implements.validate({
+    Interface : {
+      a : Implements.oneOf(5, undefined)
+    }
+  }), '2 Interface.a[1]: invalid type for interface object: undefined', "alternatives are validated");
+  QUnit.deepEqual(Implements.oneOf(5, Implements.nullable("")), Implements.oneOf(5, "", null), "flattened");
+  QUnit.throws(function () {
+    Implements.oneOf();
+  }, TypeError, "no alternatives");
+
+  obj = {
+    id : 'a',
+    parent : null,
+    handler : function (event) {
+    },
+    items : [ 1, null, 2 ]
+  };
+  QUnit.equal(Implements.match(intf, obj, 'r'), '', "match");
+  obj.id = 5;
+  obj.parent = {
+    name : 'dir',
+    size : 0
+  };
+  obj.handler = {
+    handleEvent : function (event) {
+    }
+  };
+  QUnit.equal(Implements.match(intf, obj, 'r'), '', "other alternatives");
+
+  obj.id = false;
+  QUnit.equal(Implements.match(intf, obj, 'r'), '1 Interface.id: type mismatch of id: boolean != string|number',
+      "no matching type");
+  obj.id = 5;
+  obj.parent = {
+    name : 'dir'
+  };
+  QUnit.equal(Implements.match(intf, obj, 'r'), '2 Interface.parent.Interface.size: missing key: size',
+      "closest alternative");
+  obj.parent = undefined;
+  QUnit.equal(Implements.match(intf, obj, 'r'), '1 Interface.parent: type mismatch of parent: undefined != object|null',
+      "undefined isn't null");
+  obj.parent = null;
+  obj.items.push('x');
+  QUnit.equal(Implements.match(intf, obj, 'r'),
+      "2 Interface.items[3]: Interface array doesn't contain match for element at index 3: x", "array alternatives");
+  obj.items.pop();
+
+  QUnit.equal(Implements.toTypeScript(intf, 'Node'), [ 'export interface Node {', '  id: string | number;',
+      '  parent: {', '    name: string;', '    size: number;', '  } | null;',
+      '  handler: ((arg0: any) => any) | {', '    handleEvent(arg0: any): any;', '  };',
+      '  items: (number | null)[];', '}', '' ].join('\n'), "TypeScript");
+  QUnit.deepEqual(Implements.toJSONSchema(intf).properties.id, {
+    anyOf : [ {
+      type : 'string'
+    }, {
+      type : 'number'
+    } ]
+  }, "JSON Schema");
+  result = Implements.fromJSONSchema({
+    type : 'object',
+    properties : {
+      id : {
+        anyOf : [ {
+          type : 'string'
+        }, {
+          type : 'null'
+        } ]
+      }
+    },
+    required : [ 'id' ]
+  });
+  QUnit.deepEqual(result.Interface.id, Implements.nullable(""), "JSON Schema import");
+  QUnit.equal(Implements.diff(Implements.deserialize(Implements.serialize(intf)), intf).bump, 'none', "serialization");
+
+  result = Implements.diff(intf, {
+    Interface : {
+      id : "",
+      parent : Implements.nullable(file),
+      handler : function (event) {
+      },
+      items : [ 5, null, "" ]
+    }
+  });
+  QUnit.deepEqual(result.changes.map(function (change) {
+    return [ change.change, change.impact, change.path ].join(' ');
+  }), [ 'alternative-removed implementation Interface.handler', 'alternative-removed implementation Interface.id',
+      'alternative-added consumer Interface.items' ], "diff");
+
+  QUnit.equal(Implements.isAssignable({
+    Interface : {
+      id : 5
+    }
+  }, {
+    Interface : {
+      id : Implements.oneOf("", 5)
+    }
+  }), true, "a single type is assignable to a union");
+  QUnit.equal(Implements.isAssignable({
+    Interface : {
+      id : Implements.oneOf("", 5)
+    }
+  }, {
+    Interface : {
+      id : 5
+    }
+  }), false, "a union isn't assignable to a single type");
+
+  obj = Implements.mock(intf);
+  QUnit.strictEqual(obj.id, '', "mock: first alternative");
+  QUnit.equal(Implements.match(intf, obj, 'r'), '', "mock matches");
+
+  gen = Implements.arbitrary(intf, 5);
+  for (index = 0; index < 20; index += 1) {
+    QUnit.equal(Implements.match(intf, gen.generate(), 'r'), '', "generated");
+    QUnit.notEqual(Implements.match(intf, gen.generateInvalid(), 'r'), '', "generated invalid");
+  }
+});
+
+QUnit.test("Custom Types", function () {
+  var uuid, positive, point, intf, obj, gen, index, method;
+
+  function isUUID (value) {
+    return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value);
+  }
+
+  uuid = Implements.registerType('types.uuid', isUUID, {
+    typeScript : 'string',
+    jsonSchema : {
+      type : 'string',
+      format : 'uuid'
+    },
+    sample : function (random) {
+      return '00000000-0000-4000-8000-000000000000'.replace(/0/g, function () {
+        return Math.floor(random() * 16).toString(16);
+      });
+    }
+  });
+  positive = Implements.registerType('types.positive', function (value) {
+    return typeof value === 'number' && value > 0;
+  });
+
+  QUnit.strictEqual(Implements.registerType('types.uuid', isUUID).name, 'types.uuid', "repeated registration");
+  QUnit.throws(function () {
+    Implements.registerType('types.uuid', function () {
+      return true;
+    });
+  }, TypeError, "conflicting registration");
+  QUnit.throws(function () {
+    Implements.registerType('number', isUUID);
+  }, TypeError, "built-in type");
+  [ 'bigint', 'symbol', 'map', 'promise', 'error', 'any' ].forEach(function (name) {
+    QUnit.throws(function () {
+      Implements.registerType(name, isUUID);
+    }, TypeError, "reserved name " + name);
+  });
+  QUnit.equal(Implements.match({
+    Interface : {
+      id : Implements.registerType('uuid', isUUID)
+    }
+  }, {
+    id : 'x'
+  }), "1 Interface.id: type mismatch of id: string != uuid", "lowercase name");
+  QUnit.throws(function () {
+    Implements.registerType('types.invalid', 5);
+  }, TypeError, "no predicate");
+
+  intf = {
+    Interface : {
+      id : uuid,
+      size : positive,
+      ids : [ uuid ],
+      parent : Implements.nullable(uuid),
+      find : Implements.signature([ 'types.uuid' ], 'types.positive')
+    },
+    VERSION : 5n
+  };
+
+  QUnit.equal(Implements.validate(intf), '', "valid interface");
+  Implements.registerType('types.callback', function (value) {
+    return typeof value === 'function';
+  });
+  QUnit.equal(Implements.validate({
+    Interface : {},
+    HANDLER : function () {
+    }
+  }), "2 HANDLER: invalid type for a constant: function", "custom types don't make constants valid");
+  QUnit.equal(Implements.validate({
+    Interface : {
+      id : Implements.type('types.unknown')
+    }
+  }), '2 Interface.id: unknown custom type: types.unknown', "unknown type");
+
+  obj = {
+    id : '123e4567-e89b-42d3-a456-426614174000',
+    size : 5,
+    ids : [],
+    parent : null,
+    find : function (id) {
+      return 1;
+    }
+  };
+  QUnit.equal(Implements.match(intf, obj, 'r'), '', "match");
+  obj.size = 0;
+  obj.ids.push('x');
+  QUnit.equal(Implements.match(intf, obj, 'r'), [
+      "2 Interface.ids[0]: Interface array doesn't contain match for element at index 0: x",
+      "1 Interface.size: type mismatch of size: number != types.positive" ].join('\n'), "mismatch");
+  obj.size = 1;
+  obj.ids.pop();
+  QUnit.equal(Implements.match({
+    Interface : {
+      name : Implements.registerType('types.nonempty', function (value) {
+        return value.length > 0;
+      })
+    }
+  }, {
+    name : null
+  }), "1 Interface.name: type mismatch of name: null != types.nonempty", "throwing predicate");
+
+  method = Implements.enforce(intf, obj);
+  QUnit.equal(method.find('123e4567-e89b-42d3-a456-426614174000'), 1, "signature with custom types");
+  QUnit.throws(function () {
+    method.find('x');
+  }, Implements.ImplementsError, "signature mismatch");
+
+  QUnit.equal(Implements.toTypeScript(intf, 'Entity').split('\n').slice(1, 5).join('\n'), [ '  id: string;',
+      '  size: any;', '  ids: string[];', '  parent: string | null;' ].join('\n'), "TypeScript");
+  QUnit.deepEqual(Implements.toJSONSchema(intf).properties.id, {
+    type : 'string',
+    format : 'uuid'
+  }, "JSON Schema");
+  QUnit.equal(Implements.diff(Implements.deserialize(Implements.serialize(intf)), intf).bump, 'none', "serialization");
+  QUnit.deepEqual(Implements.diff(intf, {
+    Interface : {
+      id : "",
+      size : positive,
+      ids : [ uuid ],
+      parent : Implements.nullable(uuid),
+      find : Implements.signature([ 'types.uuid' ], 'types.positive')
+    },
+    VERSION : 5n
+  }).changes.map(function (change) {
+    return change.message;
+  }), [ 'retyped id: types.uuid -> string' ], "diff");
+  QUnit.deepEqual(Implements.isAssignableDetailed({
+    Interface : {
+      id : "",
+      size : positive
+    }
+  }, {
+    Interface : {
+      id : uuid,
+      size : positive
+    }
+  }).map(function (error) {
+    return error.message;
+  }), [ 'type mismatch of id: string != types.uuid' ], "assignability");
+
+  QUnit.ok(isUUID(Implements.mock(intf, {
+    size : 1,
+    find : function () {
+      return 1;
+    }
+  }).id), "mock sample");
+  QUnit.throws(function () {
+    Implements.mock(intf);
+  }, /^TypeError: Implements.mock\(\): no default value for Interface.size: custom type types.positive without sample$/,
+      "no sample");
+  QUnit.throws(function () {
+    Implements.mock(intf, {
+      size : 1
+    });
+  }, /no default value for Interface.find.result: custom type types.positive without sample$/, "no sample for a result");
+  QUnit.deepEqual(Object.keys(Implements.mock({
+    Interface : {
+      size : Implements.optional(positive),
+      sizes : Implements.oneOf(positive, 0)
+    }
+  })), [ 'sizes' ], "optional member without sample");
+
+  intf = {
+    Interface : {
+      id : uuid,
+      ids : [ uuid ],
+      size : Implements.oneOf(positive, uuid),
+      parent : Implements.optional(positive)
+    }
+  };
+  gen = Implements.arbitrary(intf, 9, 'rm');
+  for (index = 0; index < 10; index += 1) {
+    QUnit.equal(Implements.match(intf, gen.generate(), 'rm'), '', "generated");
+  }
+  QUnit.throws(function () {
+    Implements.arbitrary({
+      Interface : {
+        items : [ positive ]
+      }
+    }, 1).generate();
+  }, /^TypeError: Implements.arbitrary\(\): no value for Interface.items\[0\]: custom type types.positive without sample$/,
+      "arbitrary without sample");
+
+  point = Implements.registerType('types.point', function (value) {
+    return typeof value === 'object' && value !== null && typeof value.x === 'number';
+  }, {
+    sample : function () {
+      return {
+        x : 1,
+        y : 2
+      };
+    }
+  });
+  intf = {
+    Interface : {
+      p : point,
+      ps : [ point ]
+    }
+  };
+  gen = Implements.arbitrary(intf, 1);
+  for (index = 0; index < 20; index += 1) {
+    QUnit.notEqual(Implements.match(intf, gen.generateInvalid(), 'r'), '', "invalid value with object samples");
+  }
+});
+
+QUnit.test("Literals and Patterns", function () {
+  var size, shapes, intf, obj, gen, index;
+
+  function toPattern (regexp) {
+    return Implements.toJSONSchema({
+      Interface : {
+        value : Implements.pattern(regexp)
+      }
+    }).properties.value.pattern;
+  }
+
+  size = Implements.registerType('types.size', function (value) {
+    return typeof value === 'number' && value >= 0;
+  });
+  shapes = {
+    Interface : [ {
+      Interface : {
+        kind : Implements.literal('circle'),
+        radius : 0
+      }
+    }, {
+      Interface : {
+        kind : Implements.literal('square'),
+        side : size
+      }
+    } ]
+  };
+  obj = [ {
+    kind : 'circle',
+    radius : 2
+  }, {
+    kind : 'square',
+    side : 3
+  } ];
+
+  QUnit.equal(Implements.match(shapes, obj, 'r'), '', "discriminated union with a plain payload");
+  obj.push({
+    kind : 'circle',
+    side : 3
+  });
+  QUnit.equal(Implements.match(shapes, obj, 'r'), "1 Interface[2]: Interface array doesn't contain match for element at index 2: [object Object]", "wrong discriminator");
+  QUnit.equal(Implements.match(shapes, obj, 'e'), "unknown character in opts \"e\": e", "no global exact values");
+
+  intf = {
+    Interface : {
+      kind : Implements.literal('circle'),
+      level : Implements.literal(3),
+      count : 0,
+      id : Implements.pattern(/^[a-z]+-\d+$/, 'abc-1'),
+      tag : Implements.pattern(/^x/),
+      color : Implements.oneOf(Implements.literal('red'), Implements.literal('green'))
+    }
+  };
+  obj = {
+    kind : 'square',
+    level : '3',
+    count : 7,
+    id : 'ab',
+    tag : 5,
+    color : 'blue'
+  };
+
+  QUnit.equal(Implements.validate(intf), '', "valid interface");
+  QUnit.equal(Implements.match(intf, obj, 'r'), [
+      "1 Interface.color: value mismatch of color: \"blue\" != \"red\"",
+      "1 Interface.id: pattern mismatch of id: \"ab\" !~ /^[a-z]+-\\d+$/",
+      "1 Interface.kind: value mismatch of kind: \"square\" != \"circle\"",
+      "1 Interface.level: type mismatch of level: string != number",
+      "1 Interface.tag: type mismatch of tag: number != string" ].join('\n'), "value mismatch");
+  obj = {
+    kind : 'circle',
+    level : 3,
+    count : 7,
+    id : 'abc-12',
+    tag : 'xyz',
+    color : 'green'
+  };
+  QUnit.equal(Implements.match(intf, obj, 'r'), '', "exact match");
+  QUnit.equal(Implements.match({
+    Interface : {
+      value : Implements.literal(NaN)
+    }
+  }, {
+    value : NaN
+  }), '', "NaN literal");
+
+  QUnit.throws(function () {
+    Implements.literal({});
+  }, TypeError, "no literal");
+  QUnit.throws(function () {
+    Implements.pattern('^x');
+  }, TypeError, "no RegExp");
+  QUnit.throws(function () {
+    Implements.pattern(/^x/, 'abc');
+  }, TypeError, "mismatching example");
+
+  QUnit.equal(Implements.toTypeScript(intf, 'Tagged'), [
+      "export interface Tagged {",
+      "  kind: \"circle\";",
+      "  level: 3;",
+      "  count: number;",
+      "  id: string;",
+      "  tag: string;",
+      "  color: \"red\" | \"green\";",
+      "}",
+      "" ].join('\n'), "TypeScript");
+  QUnit.deepEqual(Implements.toJSONSchema(intf).properties.id, {
+    type : 'string',
+    pattern : '^[a-z]+-\\d+$'
+  }, "JSON Schema");
+  QUnit.deepEqual(Implements.toJSONSchema(intf).properties.kind, {
+    'const' : 'circle'
+  }, "JSON Schema const");
+  QUnit.equal(toPattern(/abc/i), '[aA][bB][cC]', "JSON Schema pattern with 'i'");
+  QUnit.ok(new RegExp(toPattern(/abc/i), 'u').test('xAbC'), "case-insensitive JSON Schema pattern");
+  QUnit.equal(toPattern(/^[a-f0-9]+$/i), '^[a-fA-F0-9]+$', "case-insensitive ranges");
+  QUnit.equal(toPattern(/^a.c$/s), '^a[\\s\\S]c$', "JSON Schema pattern with 's'");
+  QUnit.ok(new RegExp(toPattern(/^ab$/m), 'u').test('x\nab\ny'), "JSON Schema pattern with 'm'");
+  QUnit.ok(!new RegExp(toPattern(/ab/y), 'u').test('xab'), "JSON Schema pattern with 'y'");
+  QUnit.equal(toPattern(/a+/g), 'a+', "global pattern");
+  QUnit.throws(function () {
+    toPattern(/\x41/i);
+  }, TypeError, "inexpressible escape");
+  QUnit.throws(function () {
+    toPattern(/[A-z]/i);
+  }, TypeError, "inexpressible range");
+  QUnit.equal(Implements.match(Implements.fromJSONSchema({
+    type : 'object',
+    properties : {
+      id : {
+        type : 'string',
+        pattern : '^[a-z]+-\\d+$'
+      },
+      kind : {
+        'const' : 'circle'
+      }
+    },
+    required : [ 'id', 'kind' ]
+  }), {
+    id : 'ab',
+    kind : 'square'
+  }, 'r'), [ "1 Interface.id: pattern mismatch of id: \"ab\" !~ /^[a-z]+-\\d+$/u",
+      "1 Interface.kind: value mismatch of kind: \"square\" != \"circle\"" ].join('\n'), "JSON Schema import");
+  QUnit.deepEqual(Implements.diff(intf, Implements.deserialize(Implements.serialize(intf))).changes, [], "serialization");
+
+  QUnit.deepEqual(Implements.diff(intf, {
+    Interface : {
+      kind : Implements.literal('square'),
+      level : 3,
+      count : Implements.literal(0),
+      id : Implements.pattern(/^[a-z]+$/),
+      tag : '',
+      color : Implements.oneOf(Implements.literal('red'))
+    }
+  }).changes.map(function (change) {
+    return [ change.change, change.impact, change.path ].join(' ');
+  }), [ 'alternative-removed implementation Interface.color', 'literal implementation Interface.count',
+      'pattern both Interface.id', 'literal both Interface.kind', 'literal consumer Interface.level',
+      'pattern consumer Interface.tag' ], "diff");
+  QUnit.deepEqual(Implements.diff({
+    Interface : {
+      a : [ Implements.pattern(/a/) ],
+      b : [ '' ]
+    }
+  }, {
+    Interface : {
+      a : [ Implements.pattern(/b/) ],
+      b : [ Implements.pattern(/b/) ]
+    }
+  }).changes.map(function (change) {
+    return [ change.change, change.impact, change.path ].join(' ');
+  }), [ 'alternative-removed implementation Interface.a', 'alternative-added consumer Interface.a',
+      'alternative-removed implementation Interface.b', 'alternative-added consumer Interface.b' ],
+      "diff of pattern alternatives");
+
+  QUnit.ok(Implements.isAssignable(intf, {
+    Interface : {
+      id : '',
+      kind : ''
+    }
+  }), "pattern and literal for string");
+  QUnit.deepEqual(Implements.isAssignableDetailed({
+    Interface : {
+      kind : 'circle',
+      level : Implements.literal(3),
+      id : Implements.literal('abc'),
+      tag : Implements.pattern(/^x/),
+      color : Implements.oneOf(Implements.literal('red'), Implements.literal('green'))
+    }
+  }, intf).map(function (error) {
+    return error.message;
+  }), [ 'missing key: count', 'pattern mismatch of id: "abc" !~ /^[a-z]+-\\d+$/',
+      'value mismatch of kind: string != "circle"' ], "string for literal");
+  QUnit.ok(Implements.isAssignable(intf, intf), "same literals");
+  QUnit.deepEqual(Implements.isAssignableDetailed(intf, {
+    Interface : {
+      kind : Implements.literal('square')
+    }
+  }).map(function (error) {
+    return error.message;
+  }), [ 'value mismatch of kind: "circle" != "square"' ], "different literals");
+
+  QUnit.equal(Implements.mock(intf, {
+    tag : 'x'
+  }).id, 'abc-1', "mock example");
+  QUnit.throws(function () {
+    Implements.mock(intf);
+  }, /^TypeError: Implements.mock\(\): no default value for Interface.tag: pattern \/\^x\/ without example$/,
+      "mock without example");
+  QUnit.strictEqual(Implements.mock({
+    Interface : {
+      tag : Implements.pattern(/^x*$/)
+    }
+  }).tag, '', "mock without example, but matching ''");
+  QUnit.strictEqual(Implements.mock(intf, {
+    tag : 'x'
+  }).kind, 'circle', "mock literal");
+  QUnit.equal(Implements.match(intf, Implements.mock(intf, {
+    tag : 'x'
+  }), 'r'), '', "mock matches");
+
+  intf = {
+    Interface : {
+      id : Implements.pattern(/^[a-z]+-\d+$/, 'abc-1'),
+      tag : Implements.pattern(/^x*$/),
+      kind : Implements.literal('circle'),
+      color : Implements.oneOf(Implements.literal('red'), Implements.pattern(/^[0-9a-f]{32}$/), null)
+    }
+  };
+  gen = Implements.arbitrary(intf, 11, 'rm');
+  for (index = 0; index < 10; index += 1) {
+    QUnit.equal(Implements.match(intf, gen.generate(), 'rm'), '', "generated");
+  }
+  QUnit.throws(function () {
+    Implements.arbitrary({
+      Interface : {
+        hash : Implements.pattern(/^[0-9a-f]{32}$/)
+      }
+    }, 1).generate();
+  }, /^TypeError: Implements.arbitrary\(\): no value for Interface.hash: pattern \/\^\[0-9a-f\]\{32\}\$\/ without example$/,
+      "arbitrary without example");
+});
+
+QUnit.test("Tuples", function () {
+  var point, intf, pair, gen, index;
+
+  point = Implements.tuple(0, 0, Implements.optional(''), Implements.rest(true));
+  intf = {
+    Interface : {
+      point : point,
+      points : [ point ]
+    }
+  };
+  pair = {
+    Interface : Implements.tuple(0, '')
+  };
+
+  QUnit.equal(Implements.validate(intf), '', "valid tuple member");
+  QUnit.equal(Implements.validate(pair), '', "valid tuple interface");
+  QUnit.equal(Implements.validate({
+    Interface : {
+      flags : Implements.rest(true),
+      pair : Implements.tuple(0, Implements.type('types.unknown'))
+    }
+  }), [ "2 Interface.flags: rest element outside of a tuple",
+      "2 Interface.pair[1]: unknown custom type: types.unknown" ].join('\n'), "invalid tuple");
+  QUnit.equal(Implements.validate({
+    Interface : {},
+    Extends : [ pair ]
+  }), "1 Extends[0]: Extend and Require can only contain objects, no arrays", "tuple interface in Extends");
+  QUnit.throws(function () {
+    Implements.tuple(Implements.optional(0), 0);
+  }, TypeError, "required after optional");
+  QUnit.throws(function () {
+    Implements.tuple(Implements.rest(0), 0);
+  }, TypeError, "rest before elements");
+
+  QUnit.equal(Implements.match(intf, {
+    point : [ 1, 2 ],
+    points : [ [ 1, 2, 'a', true, false ] ]
+  }, 'r'), '', "match");
+  QUnit.equal(Implements.match(intf, {
+    point : [ 1, 'x' ],
+    points : [ [ 1 ] ]
+  }, 'r'), [ "2 Interface.point[1]: type mismatch of [1]: string != number",
+      "2 Interface.points[0]: Interface array doesn't contain match for element at index 0: 1" ]
+      .join('\n'), "mismatch");
+  QUnit.equal(Implements.match(intf, {
+    point : [ 1, 'x' ],
+    points : {}
+  }), "1 Interface.points: type mismatch of points: object != array", "no recursion");
+  QUnit.equal(Implements.match(pair, [ 1, 'a' ]), '', "tuple interface");
+  QUnit.equal(Implements.match(pair, [ 1, 2, 3 ]), [
+      "1 Interface: tuple length mismatch: 3 != 2",
+      "1 Interface[1]: type mismatch of [1]: number != string" ].join('\n'), "length mismatch");
+  QUnit.equal(Implements.match(pair, {}), "1 Interface: tuple matching: object is no array, but a object", "no array");
+  QUnit.equal(Implements.match(Implements.combine({
+    Interface : {
+      point : Implements.tuple(0, 0)
+    }
+  }, {
+    Interface : {
+      size : Implements.tuple(0)
+    }
+  }), {
+    point : [ 1 ],
+    size : [ 1 ]
+  }, 'r'), "2 Interface.point: tuple length mismatch: 1 != 2", "combined");
+  QUnit.deepEqual(Implements.combine({
+    Interface : [ 0, '' ],
+    Requires : [ intf ]
+  }, pair), {
+    Interface : pair.Interface,
+    Requires : [ intf ]
+  }, "combined tuple interface");
+  QUnit.strictEqual(Implements.combine(pair).Interface, pair.Interface, "single tuple interface");
+  QUnit.equal(Implements.match(Implements.combine(pair, {
+    Interface : [ 0, '' ]
+  }), [ 1, 2 ]), "1 Interface[1]: type mismatch of [1]: number != string", "combined tuple matching");
+  QUnit.throws(function () {
+    Implements.combine(pair, {
+      Interface : Implements.tuple('', 0)
+    });
+  }, /^TypeError: Implements.combine\(\): no array interface is assignable to all others$/, "incompatible tuples");
+  QUnit.throws(function () {
+    Implements.combine(pair, intf);
+  }, /^TypeError: Implements.combine\(\): array and object interfaces can't be combined$/, "tuple and object");
+
+  QUnit.equal(Implements.toTypeScript(intf, 'Path'), [
+      "export interface Path {",
+      "  point: [number, number, string?, ...boolean[]];",
+      "  points: ([number, number, string?, ...boolean[]])[];",
+      "}",
+      "" ].join('\n'), "TypeScript");
+  QUnit.equal(Implements.toTypeScript(pair, 'Pair'), "export type Pair = [number, string];\n", "TypeScript tuple interface");
+  QUnit.deepEqual(Implements.toJSONSchema(intf).properties.point, {
+    type : 'array',
+    prefixItems : [ {
+      type : 'number'
+    }, {
+      type : 'number'
+    }, {
+      type : 'string'
+    } ],
+    minItems : 2,
+    items : {
+      type : 'boolean'
+    }
+  }, "JSON Schema");
+  QUnit.deepEqual(Implements.diff(intf, Implements.fromJSONSchema(Implements.toJSONSchema(intf))).changes, [], "JSON Schema import");
+  QUnit.deepEqual(Implements.diff(pair, Implements.deserialize(Implements.serialize(pair))).changes, [], "serialization");
+
+  QUnit.deepEqual(Implements.diff(intf, {
+    Interface : {
+      point : Implements.tuple(0, 0, ''),
+      points : [ Implements.tuple(0, '', Implements.rest(true)) ]
+    }
+  }).changes.map(function (change) {
+    return [ change.change, change.impact, change.path ].join(' ');
+  }), [ 'length implementation Interface.point',
+      'retyped both Interface.points[0][1]' ], "diff");
+
+  QUnit.ok(Implements.isAssignable(pair, {
+    Interface : [ 0, '' ]
+  }), "tuple for array");
+  QUnit.ok(!Implements.isAssignable({
+    Interface : [ 0, '' ]
+  }, pair), "array for tuple");
+  QUnit.deepEqual(Implements.isAssignableDetailed({
+    Interface : Implements.tuple(0, Implements.optional(''))
+  }, pair).map(function (error) {
+    return error.message;
+  }), [ 'tuple length mismatch: 1..2 != 2' ], "optional for required");
+
+  QUnit.deepEqual(Implements.mock({
+    Interface : {
+      point : point
+    }
+  }).point, [ 0, 0 ], "mock");
+
+  gen = Implements.arbitrary(intf, 13);
+  for (index = 0; index < 10; index += 1) {
+    QUnit.equal(Implements.match(intf, gen.generate(), 'r'), '', "generated");
+  }
+  QUnit.deepEqual(Implements.arbitrary(pair, 13).shrink([ 2, 'ab' ]), [ [ 0, 'ab' ], [ 1, 'ab' ], [ 2, '' ],
+      [ 2, 'a' ] ], "shrunk tuples keep their length");
+  QUnit.ok(Implements.arbitrary(intf, 13).shrink({
+    point : [ 1, 2, 'a' ],
+    points : []
+  }).every(function (value) {
+    return value.point.length >= 2;
+  }), "shrunk tuple members keep their required elements");
+});